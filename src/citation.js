@@ -0,0 +1,312 @@
+/**
+ * Creates a text part, in the shape returned by `parseStyledString`.
+ *
+ * @param {string} content - The text content.
+ * @param {Object} [styles={}] - The styles of the text, e.g. { italics: true }.
+ * @returns {Object} - The text part.
+ */
+const text = (content, styles = {}) => ({ type: 'text', content, ...styles });
+
+/**
+ * Adds a final punctuation mark to a string, unless it is empty or already ends with one.
+ *
+ * @param {string} string - The string.
+ * @param {string} [mark='.'] - The punctuation mark.
+ * @returns {string} - The terminated string.
+ */
+const terminate = (string, mark = '.') => (!string || /[.?!]$/.test(string) ? string : `${string}${mark}`);
+
+/**
+ * Normalizes an author given as a string ('Jane A. Smith' or 'Smith, Jane A.') or an object into { family, given }.
+ *
+ * @param {string|Object} author - The author.
+ * @returns {Object} - The author as { family, given }.
+ */
+function parseAuthor(author) {
+    if (typeof author === 'object' && author !== null) {
+        return { family: author.family || author.lastName || '', given: author.given || author.firstName || '' };
+    }
+
+    const name = String(author).trim();
+
+    if (name.includes(',')) {
+        const [family, given] = name.split(/,\s*/);
+        return { family, given: given || '' };
+    }
+
+    const words = name.split(/\s+/);
+
+    return { family: words.pop(), given: words.join(' ') };
+}
+
+/**
+ * Abbreviates given names to initials, e.g. 'Jane Anne' to 'J. A.' and 'Jean-Paul' to 'J.-P.'.
+ *
+ * @param {string} given - The given names.
+ * @param {boolean} [compact=false] - Whether to leave out periods and spaces, e.g. 'JA' for Vancouver.
+ * @returns {string} - The initials.
+ */
+function getInitials(given, compact = false) {
+    return given
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((name) =>
+            name
+                .split('-')
+                .map((part) => (compact ? part.charAt(0).toUpperCase() : `${part.charAt(0).toUpperCase()}.`))
+                .join(compact ? '' : '-')
+        )
+        .join(compact ? '' : ' ');
+}
+
+// how each style writes an author name, the first author of MLA and Chicago being inverted
+const nameFormats = {
+    apa: ({ family, given }) => (given ? `${family}, ${getInitials(given)}` : family),
+    mla: ({ family, given }, index) => (given ? (index === 0 ? `${family}, ${given}` : `${given} ${family}`) : family),
+    chicago: ({ family, given }, index) => (given ? (index === 0 ? `${family}, ${given}` : `${given} ${family}`) : family),
+    ieee: ({ family, given }) => (given ? `${getInitials(given)} ${family}` : family),
+    vancouver: ({ family, given }) => (given ? `${family} ${getInitials(given, true)}` : family)
+};
+
+// how each style lists authors: separators, the list shortening when there are too many, and the "et al." suffix
+const authorListFormats = {
+    apa: { separator: ', ', last: ', & ', pair: ', & ', max: 20, keep: 19, etAl: ', et al.' },
+    mla: { separator: ', ', last: ', and ', pair: ', and ', max: 2, keep: 1, etAl: ', et al.' },
+    chicago: { separator: ', ', last: ', and ', pair: ' and ', max: 10, keep: 7, etAl: ', et al.' },
+    ieee: { separator: ', ', last: ', and ', pair: ' and ', max: 6, keep: 1, etAl: ' et al.' },
+    vancouver: { separator: ', ', last: ', ', pair: ', ', max: 6, keep: 6, etAl: ', et al.' }
+};
+
+/**
+ * Checks whether an author is the highlighted one (e.g. the profile owner), by family name and first initial.
+ *
+ * @param {Object} author - The author as { family, given }.
+ * @param {Object[]} highlighted - The highlighted authors as { family, given }.
+ * @returns {boolean} - True if the author is highlighted.
+ */
+function isHighlighted(author, highlighted) {
+    const normalize = (string) =>
+        string
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+
+    return highlighted.some(
+        ({ family, given }) => normalize(family) === normalize(author.family) && (!given || !author.given || normalize(given).charAt(0) === normalize(author.given).charAt(0))
+    );
+}
+
+/**
+ * Formats the author list of a publication as text parts.
+ *
+ * @param {Object[]} authors - The authors as { family, given }.
+ * @param {string} style - The citation style.
+ * @param {Object} options - The citation options.
+ * @returns {Object[]} - The text parts of the author list.
+ */
+function formatAuthors(authors, style, { highlightAuthor, maxAuthors }) {
+    const format = authorListFormats[style];
+    const highlighted = [].concat(highlightAuthor || []).map(parseAuthor);
+
+    let listed = authors;
+    let suffix = '';
+    let lastAuthor = null;
+
+    if (maxAuthors && authors.length > maxAuthors) {
+        listed = authors.slice(0, Math.max(1, maxAuthors));
+        suffix = format.etAl;
+    } else if (!maxAuthors && authors.length > format.max) {
+        listed = authors.slice(0, format.keep);
+
+        // APA lists the first 19 authors, an ellipsis and the last author
+        if (style === 'apa') {
+            lastAuthor = authors[authors.length - 1];
+        } else {
+            suffix = format.etAl;
+        }
+    }
+
+    const parts = [];
+
+    listed.forEach((author, index) => {
+        if (index > 0) {
+            const isLast = index === listed.length - 1 && !suffix && !lastAuthor;
+            parts.push(text(isLast ? (listed.length === 2 ? format.pair : format.last) : format.separator));
+        }
+
+        parts.push(text(nameFormats[style](author, index), isHighlighted(author, highlighted) ? { bold: true } : {}));
+    });
+
+    if (lastAuthor) {
+        parts.push(text(', . . . '), text(nameFormats.apa(lastAuthor), isHighlighted(lastAuthor, highlighted) ? { bold: true } : {}));
+    }
+
+    if (suffix) parts.push(text(suffix));
+
+    return parts;
+}
+
+/**
+ * Gets the text that ends an author list, without doubling a period ending the last author (e.g. initials or "et al.").
+ *
+ * @param {Object[]} parts - The text parts of the author list.
+ * @param {string} separator - The text that follows the authors, starting with a period or not.
+ * @returns {string} - The separator, without its leading period if the authors already end with one.
+ */
+function afterAuthors(parts, separator) {
+    const last = parts[parts.length - 1]?.content || '';
+
+    return last.endsWith('.') && separator.startsWith('.') ? separator.slice(1) : separator;
+}
+
+/**
+ * Creates a DOI link part.
+ *
+ * @param {string} doi - The DOI.
+ * @param {string} [content] - The link text. Defaults to the DOI URL.
+ * @returns {Object} - The link part.
+ */
+function doiLink(doi, content) {
+    const href = `https://doi.org/${doi}`;
+    const label = content || href;
+
+    return { type: 'link', href, content: label, children: [text(label)] };
+}
+
+// the parts that follow the author list, by style
+const styles = {
+    apa: ({ title, venue, year, volume, issue, pages, doi }, authors) => [
+        text(`${authors.length > 0 ? ' ' : ''}(${year || 'n.d.'}). `),
+        title && text(`${terminate(title)} `),
+        venue && text(venue, { italics: true }),
+        volume && text(', '),
+        volume && text(volume, { italics: true }),
+        issue && text(`(${issue})`),
+        pages && text(`, ${pages}`),
+        venue && text('.'),
+        doi && text(' '),
+        doi && doiLink(doi)
+    ],
+    mla: ({ title, venue, year, volume, issue, pages, doi }, authors) => [
+        authors.length > 0 && text(afterAuthors(authors, '. ')),
+        title && text(`“${terminate(title)}” `),
+        venue && text(venue, { italics: true }),
+        text(
+            terminate(
+                [volume && `vol. ${volume}`, issue && `no. ${issue}`, year, pages && `${pages.includes('–') ? 'pp.' : 'p.'} ${pages}`]
+                    .filter(Boolean)
+                    .map((item, index) => (index === 0 && !venue ? item : `, ${item}`))
+                    .join('')
+            )
+        ),
+        doi && text(' '),
+        doi && doiLink(doi),
+        doi && text('.')
+    ],
+    chicago: ({ title, venue, year, volume, issue, pages, doi }, authors) => [
+        authors.length > 0 && text(afterAuthors(authors, '. ')),
+        title && text(`“${terminate(title)}” `),
+        venue && text(venue, { italics: true }),
+        text(terminate(`${volume ? ` ${volume}` : ''}${issue ? `, no. ${issue}` : ''}${year ? ` (${year})` : ''}${pages ? `: ${pages}` : ''}`)),
+        doi && text(' '),
+        doi && doiLink(doi),
+        doi && text('.')
+    ],
+    ieee: ({ title, venue, year, volume, issue, pages, doi }, authors) => [
+        authors.length > 0 && text(', '),
+        title && text(`“${terminate(title, ',')}” `),
+        venue && text(venue, { italics: true }),
+        text(
+            terminate(
+                [volume && `vol. ${volume}`, issue && `no. ${issue}`, pages && `${pages.includes('–') ? 'pp.' : 'p.'} ${pages}`, year, doi && `doi: ${doi}`]
+                    .filter(Boolean)
+                    .map((item, index) => (index === 0 && !venue ? item : `, ${item}`))
+                    .join('')
+            )
+        )
+    ],
+    vancouver: ({ title, venue, year, volume, issue, pages, doi }, authors) => [
+        authors.length > 0 && text(afterAuthors(authors, '. ')),
+        title && text(`${terminate(title)} `),
+        venue && text(`${terminate(venue)} `),
+        text(terminate(`${year || ''}${volume ? `;${volume}` : ''}${issue ? `(${issue})` : ''}${pages ? `:${pages.replace('–', '-')}` : ''}`)),
+        doi && text(` doi:${doi}`)
+    ]
+};
+
+/**
+ * Merges adjacent text parts that have the same styles, so a citation renders with as few text runs as possible.
+ *
+ * @param {Object[]} parts - The text parts.
+ * @returns {Object[]} - The merged text parts.
+ */
+function mergeParts(parts) {
+    return parts.reduce((merged, part) => {
+        const previous = merged[merged.length - 1];
+        const { content, ...styles } = part;
+
+        if (previous && part.type === 'text' && previous.type === 'text') {
+            const { content: previousContent, ...previousStyles } = previous;
+
+            if (JSON.stringify(styles) === JSON.stringify(previousStyles)) {
+                previous.content = `${previousContent}${content}`;
+                return merged;
+            }
+        }
+
+        merged.push({ ...part });
+        return merged;
+    }, []);
+}
+
+/**
+ * Formats a publication as a citation in a given style, as the styled text parts that `Paragraph` renders.
+ *
+ * @example
+ * const citation = formatCitation(
+ *     { authors: ['Jane A. Smith', 'Robert Doe'], title: 'Title of the article', venue: 'Journal of Examples', year: 2020, volume: 12, issue: 3, pages: '45-67', doi: '10.1234/example' },
+ *     { style: 'apa', highlightAuthor: 'Jane Smith' }
+ * );
+ * // Smith, J. A., & Doe, R. (2020). Title of the article. Journal of Examples, 12(3), 45–67. https://doi.org/10.1234/example
+ * <Paragraph data={citation} />
+ *
+ * @param {Object} publication - The publication record.
+ * @param {Array<string|Object>} [publication.authors] - The authors, as names ('Jane A. Smith' or 'Smith, Jane A.') or { family, given }.
+ * @param {string} [publication.title] - The title of the publication.
+ * @param {string} [publication.venue] - The journal, book or conference, in italics in most styles. `journal` is accepted as well.
+ * @param {string|number} [publication.year] - The publication year.
+ * @param {string|number} [publication.volume] - The volume.
+ * @param {string|number} [publication.issue] - The issue number.
+ * @param {string} [publication.pages] - The page range, e.g. '45-67'.
+ * @param {string} [publication.doi] - The DOI, with or without the 'https://doi.org/' or 'doi:' prefix.
+ * @param {Object} [options={}] - The citation options.
+ * @param {string} [options.style='apa'] - The citation style: 'apa', 'mla', 'chicago', 'ieee' or 'vancouver'.
+ * @param {string|Object|Array} [options.highlightAuthor] - The author, or authors, to bold (e.g. the profile owner), matched by family name and first initial.
+ * @param {number} [options.maxAuthors] - The number of authors listed before "et al.". Defaults to the rule of the style.
+ * @returns {Object[]} - The styled text parts of the citation.
+ */
+export function formatCitation(publication, options = {}) {
+    const style = String(options.style || 'apa').toLowerCase();
+
+    if (!styles[style]) {
+        console.warn(`Unsupported citation style: ${options.style}, using APA.`);
+        return formatCitation(publication, { ...options, style: 'apa' });
+    }
+
+    const string = (value) => (value === undefined || value === null || value === '' ? '' : String(value).trim());
+
+    const record = {
+        title: string(publication.title),
+        venue: string(publication.venue || publication.journal),
+        year: string(publication.year),
+        volume: string(publication.volume),
+        issue: string(publication.issue),
+        // page ranges take an en dash
+        pages: string(publication.pages).replace(/\s*[-–—]+\s*/, '–'),
+        doi: string(publication.doi).replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '')
+    };
+
+    const authors = formatAuthors((publication.authors || []).map(parseAuthor), style, options);
+
+    return mergeParts([...authors, ...styles[style](record, authors).filter(Boolean)]);
+}
@@ -0,0 +1,101 @@
+import React from 'react';
+import { twMerge } from 'tailwind-merge';
+import { renderCondition, hasNoData } from './SourceTooltip';
+import { createPageRegistry } from '../registry';
+
+// the source info registered by the sections of the page, kept at module level so sections rendered in separate
+// React roots are collected as well
+const dataSources = createPageRegistry();
+
+/**
+ * Registers the source info of a section of the page, to be listed by `DataSourcesPanel`.
+ *
+ * @param {string} key - A unique key for the section.
+ * @param {Object} entry - The entry to register.
+ * @param {HTMLElement} entry.element - The section element, which the panel scrolls to.
+ * @param {Object} entry.sourceInfo - The source info of the section. See `getDataSourceInfo`.
+ * @returns {Function} - A function that unregisters the section.
+ */
+export function registerDataSource(key, entry) {
+    return dataSources.register(key, entry);
+}
+
+/**
+ * A component that summarizes where the content of the whole report comes from: for each section with source info,
+ * the data source, its filters and the number of records used, with links that scroll to the section. Sections that
+ * produced no data are listed separately.
+ *
+ * The panel is a review aid and is left out of the docx output.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.title='Data sources'] - The title of the panel.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - The data sources panel.
+ */
+export default function DataSourcesPanel({ title = 'Data sources', className, ...props }) {
+    const entries = dataSources.useEntries();
+    const emptyEntries = entries.filter(({ sourceInfo }) => hasNoData(sourceInfo));
+
+    const scrollTo = (element) => (e) => {
+        e.preventDefault();
+        element?.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const getSectionName = (sourceInfo) => (sourceInfo.sources || [sourceInfo]).map(({ section }) => section).join(', ');
+
+    return (
+        <aside {...props} className={twMerge('my-8 p-4 rounded border border-gray-200 bg-gray-50 text-sm', className)} data-type='emptyLine'>
+            <div className='mb-2 font-bold text-base'>{title}</div>
+            {entries.length === 0 ? (
+                <div className='italic text-gray-500'>No data sources registered.</div>
+            ) : (
+                <table className='w-full text-left'>
+                    <thead>
+                        <tr className='border-b border-gray-300'>
+                            <th className='py-1 pr-4'>Section</th>
+                            <th className='py-1 pr-4'>Filters</th>
+                            <th className='py-1'>Records used</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(({ element, sourceInfo }, index) => {
+                            const conditions = (sourceInfo.sources || [sourceInfo]).map(({ condition }) => condition).filter(Boolean);
+
+                            return (
+                                <tr key={index} className='align-top border-b border-gray-200'>
+                                    <td className='py-1 pr-4'>
+                                        <a href='#' className='text-blue-700 hover:underline' onClick={scrollTo(element)}>
+                                            {getSectionName(sourceInfo)}
+                                        </a>
+                                    </td>
+                                    <td className='py-1 pr-4'>
+                                        {conditions.length
+                                            ? conditions.map((condition, conditionIndex) => <div key={conditionIndex}>{renderCondition(condition)}</div>)
+                                            : '—'}
+                                    </td>
+                                    <td className={twMerge('py-1', hasNoData(sourceInfo) && 'text-amber-600')}>
+                                        {hasNoData(sourceInfo) ? 'No data' : typeof sourceInfo.count === 'number' ? sourceInfo.count : '—'}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+            {emptyEntries.length > 0 && (
+                <div className='mt-4'>
+                    <div className='font-bold'>Sections with no data</div>
+                    <ul className='list-disc pl-5'>
+                        {emptyEntries.map(({ element, sourceInfo }, index) => (
+                            <li key={index}>
+                                <a href='#' className='text-blue-700 hover:underline' onClick={scrollTo(element)}>
+                                    {getSectionName(sourceInfo)}
+                                </a>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </aside>
+    );
+}
@@ -0,0 +1,158 @@
+import React, { Fragment, useEffect, useId, useRef } from 'react';
+import { twMerge } from 'tailwind-merge';
+import { parseStyledString } from '../utils';
+import { createPageRegistry } from '../registry';
+import { createTextRun } from './TextRun';
+import { getPreviewProps } from '../theme';
+import { useReportTheme } from './ReportTheme';
+
+/**
+ * Gets the name of the bookmark around a caption label, which cross references point to.
+ * Word bookmark names starting with an underscore are hidden, like the ones Word creates for its own captions.
+ *
+ * @param {string} id - The id of the figure or table.
+ * @returns {string} - The bookmark name.
+ */
+export function getCaptionBookmark(id) {
+    return `_Ref_${String(id).replace(/[^A-Za-z0-9_]/g, '_')}`.slice(0, 40);
+}
+
+// the captions of the page, kept at module level since a report's sections may be rendered in separate React roots
+const captions = createPageRegistry();
+
+// the numbers of each sorted list of captions, computed once for all the captions and cross references
+const captionNumbers = new WeakMap();
+
+// the ids of the missing cross reference targets already warned about
+const missingReferences = new Set();
+
+/**
+ * Computes the numbers of the captions of the page, per label.
+ *
+ * @param {Object[]} entries - The captions, sorted by position, each with a `key` and an `identifier`.
+ * @returns {Map<string, number>} - The number of each caption key, starting from 1 for each label.
+ */
+function getCaptionNumbers(entries) {
+    if (captionNumbers.has(entries)) return captionNumbers.get(entries);
+
+    const counters = {};
+    const numbers = new Map();
+
+    entries.forEach(({ key, identifier }) => {
+        counters[identifier] = (counters[identifier] || 0) + 1;
+        numbers.set(key, counters[identifier]);
+    });
+
+    captionNumbers.set(entries, numbers);
+
+    return numbers;
+}
+
+/**
+ * A component that renders a numbered caption, such as "Figure 3: Revenue by year".
+ *
+ * Captions are numbered across the report per label, with a Word SEQ field so the numbering stays correct when the
+ * document is edited. In the preview, the captions of the page are numbered per label in the order of their position.
+ * Inside a `ReportTheme`, the preview is styled by the `caption` theme.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.label='Figure'] - The caption label, e.g. 'Figure' or 'Table'.
+ * @param {string} [props.id] - The id of the figure or table, used by cross references.
+ * @param {string} [props.data] - The styled string of the caption text.
+ * @param {React.ReactNode} [props.children] - The caption text, used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @param {Object} [props.style] - Additional inline styles, which take precedence over the theme.
+ * @returns {JSX.Element} - A caption paragraph.
+ */
+export function Caption({ label = 'Figure', id, data, children, className, style, ...props }) {
+    const ref = useRef(null);
+    const key = useId();
+    const theme = useReportTheme();
+    // SEQ identifiers cannot contain spaces
+    const identifier = label.replace(/\s+/g, '_');
+
+    useEffect(() => captions.register(key, { key, element: ref.current, identifier, label, id }), [key, identifier, label, id]);
+
+    const number = getCaptionNumbers(captions.useEntries()).get(key) || '';
+    const dataAttributes = id ? { 'data-name': getCaptionBookmark(id), id: getCaptionBookmark(id) } : {};
+
+    return (
+        <p {...props} {...getPreviewProps(theme, 'caption', { className, style }, 'mt-1 mb-4 text-sm italic text-gray-600')} data-type='paragraph' data-style='Caption'>
+            {/* the label and number are bookmarked, so a cross reference shows them as "Figure 3" */}
+            <span {...dataAttributes} data-type={id ? 'bookmark' : 'contentWrapper'}>
+                <span data-type='text'>{`${label} `}</span>
+                <span ref={ref} data-identifier={identifier} data-type='sequence'>
+                    <span data-type='text'>{number}</span>
+                </span>
+            </span>
+            {data || children ? <span data-type='text'>{': '}</span> : null}
+            {data
+                ? parseStyledString(data).map((text, index) => {
+                      return <Fragment key={index}>{createTextRun(text)}</Fragment>;
+                  })
+                : children}
+        </p>
+    );
+}
+
+/**
+ * A component that renders an image, table or other content with a numbered caption below it.
+ *
+ * @example
+ * <Figure caption='Revenue by year' id='revenue'>
+ *     <Image data={image} />
+ * </Figure>
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.caption] - The styled string of the caption text.
+ * @param {string} [props.label='Figure'] - The caption label, e.g. 'Figure' or 'Table'.
+ * @param {string} [props.id] - The id of the figure, used by cross references.
+ * @param {React.ReactNode} props.children - The content of the figure.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A figure element.
+ */
+export default function Figure({ caption, label = 'Figure', id, children, className, ...props }) {
+    return (
+        <figure {...props} className={twMerge('my-4', className)} data-type='contentWrapper'>
+            {children}
+            <Caption label={label} id={id} data={caption} />
+        </figure>
+    );
+}
+
+/**
+ * A component that renders a reference to a numbered figure or table, such as "Figure 3".
+ *
+ * The docx output is a REF field to the caption bookmark, which Word keeps in sync with the caption number and links to it.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.to - The id of the figure or table.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A span element standing for the reference.
+ */
+export function CrossReference({ to, className, ...props }) {
+    const bookmark = getCaptionBookmark(to);
+    const entries = captions.useEntries();
+    const caption = entries.find(({ id }) => id !== undefined && getCaptionBookmark(id) === bookmark);
+
+    useEffect(() => {
+        if (caption || missingReferences.has(to)) return;
+
+        // the caption of a forward reference registers after the reference, so it is only missing if it is still
+        // missing once all the components have mounted
+        const timeout = setTimeout(() => {
+            missingReferences.add(to);
+            console.warn(`No caption found for the cross reference to ${to}.`);
+        });
+
+        return () => clearTimeout(timeout);
+    }, [caption, to]);
+
+    const text = caption ? `${caption.label} ${getCaptionNumbers(entries).get(caption.key)}` : '';
+
+    return (
+        <span {...props} className={twMerge('text-blue-700 hover:underline cursor-pointer', className)} onClick={() => document.getElementById(bookmark)?.scrollIntoView({ behavior: 'smooth' })} data-bookmark={bookmark} data-type='crossReference'>
+            <span data-type='text'>{text}</span>
+        </span>
+    );
+}
@@ -0,0 +1,239 @@
+import React, { Fragment, createContext, useCallback, useContext, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { twMerge } from 'tailwind-merge';
+import { parseStyledString } from '../utils';
+import { formatListNumber } from '../numbering';
+import { createPageRegistry, sortByPosition } from '../registry';
+import { createTextRun } from './TextRun';
+import { Heading } from './Headings';
+
+const FootnotesContext = createContext(null);
+
+// the endnotes of the page, kept at module level since a report's sections may be rendered in separate React roots
+const endnotes = createPageRegistry();
+
+/**
+ * Registers an endnote of the page, to be listed by `Endnotes`.
+ *
+ * @param {string} id - The unique id of the endnote.
+ * @param {HTMLElement} element - The marker element of the endnote.
+ * @returns {Function} - A function that unregisters the endnote.
+ */
+const registerEndnote = (id, element) => endnotes.register(id, { id, element });
+
+// the footnotes of the page, numbered across the page as Word numbers footnotes across the document
+const footnotes = createPageRegistry();
+
+// the elements the note lists render the content of the notes into
+const noteContainers = createPageRegistry();
+
+/**
+ * Gets the number of a footnote from the footnotes of the page.
+ *
+ * @param {Object[]} notes - The footnotes of the page, sorted by position.
+ * @param {string} id - The id of the footnote.
+ * @returns {number|string} - The footnote number, starting from 1, or an empty string until the footnote is registered.
+ */
+function getFootnoteNumber(notes, id) {
+    const index = notes.findIndex((note) => note.id === id);
+
+    return index === -1 ? '' : index + 1;
+}
+
+/**
+ * Gets an id usable in a URL fragment from a React id.
+ *
+ * @param {string} prefix - The prefix of the id, e.g. 'footnote'.
+ * @param {string} id - The React id.
+ * @returns {string} - The id.
+ */
+const getNoteId = (prefix, id) => `${prefix}-${id.replace(/[^A-Za-z0-9_-]/g, '')}`;
+
+/**
+ * Renders the content of a note from its styled string or children.
+ *
+ * @param {string} [data] - The styled string of the note.
+ * @param {React.ReactNode} [children] - The note content, used when no data is provided.
+ * @returns {React.ReactNode} - The note content.
+ */
+const renderNote = (data, children) => (data ? parseStyledString(data).map((text, index) => <Fragment key={index}>{createTextRun(text)}</Fragment>) : children);
+
+/**
+ * Finds the element a note renders its content into, once it is rendered by the note list.
+ *
+ * @param {string} id - The id of the element.
+ * @returns {HTMLElement|null} - The element, null until it is rendered.
+ */
+function useNoteContainer(id) {
+    return noteContainers.useEntries().find((container) => container.id === id)?.element || null;
+}
+
+/**
+ * A component that renders the element a note list renders the content of a note into.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.id - The id of the element.
+ * @returns {JSX.Element} - A span element.
+ */
+function NoteContainer({ id, ...props }) {
+    const ref = useRef(null);
+
+    useEffect(() => noteContainers.register(id, { id, element: ref.current }), [id]);
+
+    return <span ref={ref} id={id} {...props}></span>;
+}
+
+/**
+ * A component that collects the footnotes of its content and lists them below it in the preview. `Section` does it
+ * for its content, so it is only needed for footnotes outside of a section.
+ *
+ * The list is left out of the docx output, where the footnotes are Word footnotes at the bottom of their page.
+ *
+ * @param {Object} props - The component props.
+ * @param {React.ReactNode} props.children - The content with footnotes.
+ * @param {string} [props.className] - Additional CSS class names to apply to the list.
+ * @returns {JSX.Element} - The content followed by its footnotes.
+ */
+export function Footnotes({ children, className }) {
+    const [notes, setNotes] = useState([]);
+
+    const register = useCallback((id, element) => {
+        setNotes((notes) => sortByPosition([...notes.filter((note) => note.id !== id), { id, element }]));
+
+        return () => setNotes((notes) => notes.filter((note) => note.id !== id));
+    }, []);
+
+    const value = useMemo(() => ({ notes, register }), [notes, register]);
+    const numbers = footnotes.useEntries();
+
+    return (
+        <FootnotesContext.Provider value={value}>
+            {children}
+            {notes.length ? (
+                <ol className={twMerge('mt-6 pt-2 border-t border-gray-300 text-sm', className)} data-type='emptyLine'>
+                    {notes.map(({ id }) => (
+                        <li key={id} id={id} className='flex'>
+                            <sup className='w-6 shrink-0'>
+                                <a href={`#${id}-marker`}>{getFootnoteNumber(numbers, id)}</a>
+                            </sup>
+                            <NoteContainer id={`${id}-content`} />
+                        </li>
+                    ))}
+                </ol>
+            ) : null}
+        </FootnotesContext.Provider>
+    );
+}
+
+/**
+ * A component that renders a footnote: a superscript number in the text, with the note at the bottom of the page.
+ *
+ * The docx output is a Word footnote, which Word numbers and places itself. In the preview, footnotes are numbered
+ * across the page and listed at the bottom of their `Section`.
+ *
+ * @example
+ * <Paragraph>
+ *     <TextRun>Funded by the agency</TextRun>
+ *     <Footnote data='Grant <em>RGPIN-2021-0042</em>.' />
+ * </Paragraph>
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.data] - The styled string of the note.
+ * @param {React.ReactNode} [props.children] - The note content (text runs), used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply to the marker.
+ * @returns {JSX.Element} - A span element standing for the footnote.
+ */
+export default function Footnote({ data, children, className, ...props }) {
+    const ref = useRef(null);
+    const id = getNoteId('footnote', useId());
+    const register = useContext(FootnotesContext)?.register;
+    const number = getFootnoteNumber(footnotes.useEntries(), id);
+    const container = useNoteContainer(`${id}-content`);
+
+    useEffect(() => register?.(id, ref.current), [register, id]);
+
+    useEffect(() => footnotes.register(id, { id, element: ref.current }), [id]);
+
+    const content = renderNote(data, children);
+
+    return (
+        <span ref={ref} {...props} data-type='footnote'>
+            {/* Word numbers footnotes itself, the number is for the preview only */}
+            <sup id={`${id}-marker`} className={twMerge('text-blue-700', className)} data-type='emptyLine'>
+                <a href={`#${id}`}>{number}</a>
+            </sup>
+            {/* the note content goes into the docx footnote, the preview shows it in the footnote list */}
+            <span className='hidden' data-type='contentWrapper'>
+                {content}
+            </span>
+            {container ? createPortal(content, container) : null}
+        </span>
+    );
+}
+
+/**
+ * A component that renders an endnote: a superscript number in the text (i, ii, iii...), with the note listed by an
+ * `Endnotes` component, usually at the end of the report.
+ *
+ * The docx library cannot write Word endnotes, so the numbers and the list are plain text in the docx output, where the
+ * `Endnotes` component is placed.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.data] - The styled string of the note.
+ * @param {React.ReactNode} [props.children] - The note content (text runs), used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply to the marker.
+ * @returns {JSX.Element} - A superscript text run with the endnote number.
+ */
+export function Endnote({ data, children, className, ...props }) {
+    const ref = useRef(null);
+    const id = getNoteId('endnote', useId());
+    const notes = endnotes.useEntries();
+    const container = useNoteContainer(`${id}-content`);
+
+    useEffect(() => registerEndnote(id, ref.current), [id]);
+
+    const index = notes.findIndex((note) => note.id === id);
+
+    return (
+        <>
+            <sup
+                ref={ref}
+                {...props}
+                className={twMerge('text-blue-700 cursor-pointer', className)}
+                onClick={() => document.getElementById(id)?.scrollIntoView({ behavior: 'smooth' })}
+                data-superscript='true'
+                data-type='text'>
+                {index === -1 ? '' : formatListNumber(index + 1, 'lower-roman')}
+            </sup>
+            {container ? createPortal(renderNote(data, children), container) : null}
+        </>
+    );
+}
+
+/**
+ * A component that lists the endnotes of the report, in the preview and in the docx output.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.title='Notes'] - The heading of the list, none if empty.
+ * @param {number} [props.level=2] - The level of the heading.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element|null} - The endnotes, or null if there are none.
+ */
+export function Endnotes({ title = 'Notes', level = 2, className }) {
+    const notes = endnotes.useEntries();
+
+    if (!notes.length) return null;
+
+    return (
+        <div className={twMerge('mt-8 text-sm', className)} data-type='contentWrapper'>
+            {title ? <Heading level={level} data={title} /> : null}
+            {notes.map(({ id }, index) => (
+                <p key={id} id={id} className='flex' data-indent-left='480' data-indent-hanging='480' data-type='paragraph'>
+                    <span className='w-8 shrink-0' data-type='text'>{`${formatListNumber(index + 1, 'lower-roman')}.`}</span>
+                    <span data-type='tab'></span>
+                    <NoteContainer id={`${id}-content`} data-type='contentWrapper' />
+                </p>
+            ))}
+        </div>
+    );
+}
@@ -1,174 +1,181 @@
-import React, { Fragment } from 'react';
+import React, { Fragment, useEffect, useId, useRef } from 'react';
 import { parseStyledString } from '../utils';
-import { twJoin, twMerge } from 'tailwind-merge';
-import TextRun from './TextRun';
+import { HEADING_NUMBERING_REFERENCE } from '../numbering';
+import { getPreviewProps } from '../theme';
+import { getParagraphLayoutProps } from '../layout';
+import { createPageRegistry } from '../registry';
+import { useReportTheme } from './ReportTheme';
+import { createTextRun } from './TextRun';
+
+// the numbered headings of the page, kept at module level since a report's sections may be rendered in separate React roots
+const numberedHeadings = createPageRegistry();
+
+// the outline numbers of each sorted list of numbered headings, computed once for all the headings
+const outlineNumbers = new WeakMap();
 
 /**
- * Creates a TextRun component with applied styles and content.
+ * Computes the outline numbers of the numbered headings of the page.
  *
- * @param {Object} text - The text object containing content and style flags.
- * @param {string} text.content - The text content.
- * @param {boolean} text.italics - Flag indicating if the text should be italicized.
- * @param {boolean} text.bold - Flag indicating if the text should be bold.
- * @param {boolean} text.underline - Flag indicating if the text should be underlined.
- * @returns {JSX.Element} - A TextRun component with applied styles and content.
+ * @param {Object[]} headings - The numbered headings, sorted by position, each with an `id` and a `level` from 0 to 5.
+ * @returns {Map<string, string>} - The outline number of each heading id, e.g. '1.' for a first level heading or
+ *     '1.2.3' for a third level heading.
  */
-const createTextRun = (text) => {
-    const { content, italics, bold, underline } = text;
+function getOutlineNumbers(headings) {
+    if (outlineNumbers.has(headings)) return outlineNumbers.get(headings);
 
-    const dataAttributes = {};
+    const counters = [0, 0, 0, 0, 0, 0];
+    const numbers = new Map();
 
-    if (italics) {
-        dataAttributes['data-italics'] = true;
-    }
+    headings.forEach(({ id, level }) => {
+        counters[level]++;
+        counters.fill(0, level + 1);
 
-    if (bold) {
-        dataAttributes['data-bold'] = true;
-    }
+        const number = counters.slice(0, level + 1).join('.');
+        numbers.set(id, level === 0 ? `${number}.` : number);
+    });
 
-    if (underline) {
-        dataAttributes['data-underline'] = true;
-    }
+    outlineNumbers.set(headings, numbers);
 
-    return (
-        <TextRun className={twJoin(italics && 'italic', bold && 'font-bold', underline && 'underline')} {...dataAttributes}>
-            {content}
-        </TextRun>
-    );
-};
+    return numbers;
+}
 
 /**
- * A component that renders a level 1 heading (H1) inside a styled paragraph.
+ * A component that renders a heading of a given level, as a docx paragraph with the matching heading style.
+ *
+ * Numbered headings get an outline number ("1.", "1.2", "1.2.3"...) from docx numbering. In the preview, the numbered
+ * headings of the page are numbered in the order of their position. Inside a `ReportTheme`, the preview is styled by
+ * the theme of the heading level.
  *
  * @param {Object} props - The component props.
+ * @param {number} [props.level=1] - The heading level, from 1 to 6. Levels out of this range are clamped to it, with a warning.
+ * @param {boolean} [props.numbered=false] - Whether the heading has an outline number.
  * @param {string} [props.data] - The styled string data to parse and display.
  * @param {React.ReactNode} [props.children] - Default children to render if no data is provided.
+ * @param {string} [props.align] - The alignment: 'left', 'center', 'right' or 'justify'.
+ * @param {Object} [props.indent] - The indentation in twips as { left, right, hanging, firstLine }.
+ * @param {number} [props.spacingBefore] - The space before the heading in twips.
+ * @param {number} [props.spacingAfter] - The space after the heading in twips.
+ * @param {number} [props.lineSpacing] - The line spacing as a multiple of single spacing, e.g. 1.5.
+ * @param {boolean} [props.keepNext] - Whether the heading stays on the same page as the next paragraph.
+ * @param {boolean} [props.keepLines] - Whether the lines of the heading stay on the same page.
+ * @param {boolean} [props.pageBreakBefore] - Whether the heading starts on a new page.
+ * @param {Object|string} [props.shading] - The shading, e.g. { fill: 'F2F2F2' }, or the fill color alone.
+ * @param {Object} [props.border] - The borders keyed by side, e.g. { bottom: { size: 6 } }, or a single border for all sides.
  * @param {string} [props.className] - Additional CSS class names to apply.
- * @returns {JSX.Element|null} - A paragraph element styled as a heading or null if no data or children.
+ * @param {Object} [props.style] - Additional inline styles, which take precedence over the theme and layout props.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
  */
-export function H1({ data, children, className, ...props }) {
-    if (!children && !data) return null;
+export function Heading({ level = 1, numbered = false, data, children, align, indent, spacingBefore, spacingAfter, lineSpacing, keepNext, keepLines, pageBreakBefore, shading, border, className, style, ...props }) {
+    const ref = useRef(null);
+    const id = useId();
+    const theme = useReportTheme();
+    const hasContent = Boolean(children || data);
 
-    const properties = {
-        // className: twMerge('text-[18px] py-[15px] text-center', className),
-        ...props,
-        'data-type': 'paragraph',
-        'data-heading': 'HEADING_1'
-    };
+    // HTML and docx headings only go from 1 to 6
+    const validLevel = Math.min(6, Math.max(1, Math.round(Number(level)) || 1));
 
-    if (data) {
-        const parsed = parseStyledString(data);
+    useEffect(() => {
+        if (numbered && hasContent) return numberedHeadings.register(id, { id, element: ref.current, level: validLevel - 1 });
+    }, [numbered, hasContent, id, validLevel]);
 
-        return (
-            <h1 {...properties}>
-                {parsed.map((text, index) => {
-                    return <Fragment key={index}>{createTextRun(text)}</Fragment>;
-                })}
-            </h1>
-        );
-    }
+    const outlineNumber = getOutlineNumbers(numberedHeadings.useEntries()).get(id);
 
-    return <p {...properties}>{children}</p>;
-}
+    if (!hasContent) return null;
 
-/**
- * A component that renders a level 2 heading (H2) inside a styled paragraph.
- *
- * @param {Object} props - The component props.
- * @param {string} [props.data] - The styled string data to parse and display.
- * @param {React.ReactNode} [props.children] - Default children to render if no data is provided.
- * @param {string} [props.className] - Additional CSS class names to apply.
- * @returns {JSX.Element|null} - A paragraph element styled as a heading or null if no data or children.
- */
-export function H2({ data, children, className, ...props }) {
-    if (!children && !data) return null;
+    if (validLevel !== Number(level)) {
+        console.warn(`Invalid heading level "${level}", expected 1 to 6. Using ${validLevel} instead.`);
+        level = validLevel;
+    }
+
+    const Tag = `h${level}`;
+    const layout = getParagraphLayoutProps({ align, indent, spacingBefore, spacingAfter, lineSpacing, keepNext, keepLines, pageBreakBefore, shading, border });
 
     const properties = {
-        // className: twMerge('text-[20px] pt-1 pb-3 text-center', className),
         ...props,
+        ...getPreviewProps(theme, `heading${level}`, { className, style: { ...layout.style, ...style } }),
+        ...layout.dataAttributes,
         'data-type': 'paragraph',
-        'data-heading': 'HEADING_2'
+        'data-heading': `HEADING_${level}`
     };
 
-    if (data) {
-        const parsed = parseStyledString(data);
-
-        return (
-            <h2 {...properties}>
-                {parsed.map((text, index) => {
-                    return <Fragment key={index}>{createTextRun(text)}</Fragment>;
-                })}
-            </h2>
-        );
+    if (numbered) {
+        properties['data-numbering-reference'] = HEADING_NUMBERING_REFERENCE;
+        properties['data-numbering-level'] = level - 1;
     }
 
-    return <h2 {...properties}>{children}</h2>;
+    return (
+        <Tag ref={ref} {...properties}>
+            {/* the number is generated by docx numbering, so it is left out of the docx output */}
+            {numbered && outlineNumber ? (
+                <span className='mr-2' data-type='emptyLine'>
+                    {outlineNumber}
+                </span>
+            ) : null}
+            {data
+                ? parseStyledString(data).map((text, index) => {
+                      return <Fragment key={index}>{createTextRun(text)}</Fragment>;
+                  })
+                : children}
+        </Tag>
+    );
 }
 
 /**
- * A component that renders a level 3 heading (H3) inside a styled paragraph.
+ * A component that renders a level 1 heading (H1).
  *
- * @param {Object} props - The component props.
- * @param {string} [props.data] - The styled string data to parse and display.
- * @param {React.ReactNode} [props.children] - Default children to render if no data is provided.
- * @param {string} [props.className] - Additional CSS class names to apply.
- * @returns {JSX.Element|null} - A paragraph element styled as a heading or null if no data or children.
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
  */
-export function H3({ data, children, className, ...props }) {
-    if (!children && !data) return null;
-
-    const properties = {
-        // className: twMerge('text-[20px] font-bold underline pt-6 pb-3 text-center', className),
-        ...props,
-        'data-type': 'paragraph',
-        'data-heading': 'HEADING_3'
-    };
-
-    if (data) {
-        const parsed = parseStyledString(data);
-
-        return (
-            <h3 {...properties}>
-                {parsed.map((text, index) => {
-                    return <Fragment key={index}>{createTextRun(text)}</Fragment>;
-                })}
-            </h3>
-        );
-    }
-
-    return <h3 {...properties}>{children}</h3>;
+export function H1(props) {
+    return <Heading {...props} level={1} />;
 }
 
 /**
- * A component that renders a level 4 heading (H4) inside a styled paragraph.
+ * A component that renders a level 2 heading (H2).
  *
- * @param {Object} props - The component props.
- * @param {string} [props.data] - The styled string data to parse and display.
- * @param {React.ReactNode} [props.children] - Default children to render if no data is provided.
- * @param {string} [props.className] - Additional CSS class names to apply.
- * @returns {JSX.Element|null} - A paragraph element styled as a heading or null if no data or children.
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
  */
-export function H4({ data, children, className, ...props }) {
-    if (!children && !data) return null;
+export function H2(props) {
+    return <Heading {...props} level={2} />;
+}
 
-    const properties = {
-        // className: twMerge('text-[18px] py-[8px]', className),
-        ...props,
-        'data-type': 'paragraph',
-        'data-heading': 'HEADING_4'
-    };
+/**
+ * A component that renders a level 3 heading (H3).
+ *
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
+ */
+export function H3(props) {
+    return <Heading {...props} level={3} />;
+}
 
-    if (data) {
-        const parsed = parseStyledString(data);
+/**
+ * A component that renders a level 4 heading (H4).
+ *
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
+ */
+export function H4(props) {
+    return <Heading {...props} level={4} />;
+}
 
-        return (
-            <h4 {...properties}>
-                {parsed.map((text, index) => {
-                    return <Fragment key={index}>{createTextRun(text)}</Fragment>;
-                })}
-            </h4>
-        );
-    }
+/**
+ * A component that renders a level 5 heading (H5).
+ *
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
+ */
+export function H5(props) {
+    return <Heading {...props} level={5} />;
+}
 
-    return <h4 {...properties}>{children}</h4>;
+/**
+ * A component that renders a level 6 heading (H6).
+ *
+ * @param {Object} props - The Heading component props, without the level.
+ * @returns {JSX.Element|null} - A heading element or null if no data or children.
+ */
+export function H6(props) {
+    return <Heading {...props} level={6} />;
 }
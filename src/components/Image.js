@@ -1,56 +1,122 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import Paragraph from './Paragraph';
 import TextRun from './TextRun';
+import Figure from './Figure';
+import { fitImageSize, loadImage } from '../image';
+
+/**
+ * Gets the docx attributes of an image.
+ *
+ * @param {string} src - The URL of the image.
+ * @param {Object} size - The size of the image in the document as { width, height }.
+ * @param {string} [format] - The image format, once known.
+ * @returns {Object} - The data attributes.
+ */
+const getDocxAttributes = (src, { width, height }, format) => ({
+    'data-type': 'image',
+    'data-src': src,
+    'data-image-type': format,
+    'data-transformation-width': width,
+    'data-transformation-height': height
+});
 
 /**
  * A component that renders an image inside a Paragraph component.
  *
+ * The image format and intrinsic dimensions are read from the image content, and the image is sized to fit the
+ * maximum width and height while keeping its aspect ratio. WebP and SVG images are converted to PNG for docx.
+ *
+ * The image is left out of the docx output until it is loaded, since its size and format are only known then.
+ *
  * @param {Object} props - The component props.
  * @param {Object} props.data - The data for the image.
  * @param {string} props.data.value - The value used to fetch the image URL.
  * @param {string} props.data.url - The direct URL of the image.
  * @param {string} props.data.alt - The alternative text for the image.
+ * @param {number} [props.maxWidth=400] - The maximum width of the image in pixels.
+ * @param {number} [props.maxHeight=300] - The maximum height of the image in pixels.
+ * @param {string} [props.caption] - The styled string of a numbered "Figure" caption rendered below the image.
+ * @param {string} [props.captionId] - The id of the figure, used by cross references.
  * @returns {JSX.Element} - A Paragraph component containing the image or a alt text.
  */
-export default function Image({ data, website, ...props }) {
+export default function Image({ data, website, maxWidth = 400, maxHeight = 300, caption, captionId, ...props }) {
     const { value, url, alt } = data;
 
     let src = '',
-        format = ''; // docx supports jpeg, jpg, bmp, gif and png
+        fileName = '';
 
     if (url) {
-        src = url;
+        src = fileName = url;
     } else {
         const pageProfile = website?.activePage?.getPageProfile() || null;
 
-        if (!pageProfile) {
-            console.warn('No active page profile found.');
+        if (pageProfile) {
+            const assetInfo = pageProfile.getAssetInfo(value, true, alt);
 
-            return (
-                <Paragraph>
-                    <TextRun>{alt}</TextRun>
-                </Paragraph>
-            );
-        } else {
-            src = pageProfile.getAssetInfo(value, true, alt).src;
+            src = assetInfo.src;
+            fileName = assetInfo.filename || assetInfo.name || src;
         }
     }
 
-    format = ['jpeg', 'jpg', 'bmp', 'gif', 'png'].includes(src.split('.').pop().toLowerCase()) ? src.split('.').pop().toLowerCase() : null;
+    // undefined while loading, null if the format is not supported
+    const [image, setImage] = useState();
+
+    useEffect(() => {
+        if (!src) return;
+
+        let active = true;
+
+        loadImage(src, fileName)
+            .catch((e) => {
+                console.warn(e.message);
+                return null;
+            })
+            .then((loaded) => {
+                if (active) setImage(loaded);
+            });
 
-    if (!format) {
+        return () => {
+            active = false;
+        };
+    }, [src, fileName]);
+
+    if (!src) {
+        console.warn('No active page profile found.');
+    } else if (image === null) {
         console.warn('Unsupported image format:', src);
+    }
 
-        return (
+    const withCaption = (content) =>
+        caption ? (
+            <Figure caption={caption} id={captionId}>
+                {content}
+            </Figure>
+        ) : (
+            content
+        );
+
+    if (!src || image === null) {
+        return withCaption(
             <Paragraph>
                 <TextRun>{alt}</TextRun>
             </Paragraph>
         );
     }
 
-    return (
+    if (!image) {
+        // the size and format of the image are read from its content, so the placeholder is left out of the docx output
+        return withCaption(
+            <Paragraph data-spacing-after='50' {...props}>
+                <span className='inline-block bg-gray-100 animate-pulse' style={{ width: maxWidth, height: maxHeight }} title={alt} data-type='emptyLine' />
+            </Paragraph>
+        );
+    }
+
+    const size = fitImageSize(image, maxWidth, maxHeight);
+
+    return withCaption(
         <Paragraph data-spacing-after='50' {...props}>
-            <img src={src} alt={alt} data-type='image' data-src={src} data-transformation-width='400' data-transformation-height='300' />
+            <img src={image.src} alt={alt} width={size.width} height={size.height} {...getDocxAttributes(image.src, size, image.format)} />
         </Paragraph>
     );
 }
@@ -1,9 +1,11 @@
 import React from 'react';
 import Paragraph from './Paragraph';
 import TextRun from './TextRun';
+import { getPreviewProps } from '../theme';
+import { useReportTheme } from './ReportTheme';
 
 /**
- * A component that renders a hyperlink inside a Paragraph component.
+ * A component that renders a hyperlink inside a Paragraph component, styled by the `hyperlink` theme inside a `ReportTheme`.
  *
  * @param {Object} props - The component props.
  * @param {Object} props.data - The data for the link.
@@ -13,6 +15,7 @@ import TextRun from './TextRun';
  */
 export default function Link({ data, ...props }) {
     const { label, href } = data;
+    const theme = useReportTheme();
 
     const isExternal = href.startsWith('http');
 
@@ -28,7 +31,7 @@ export default function Link({ data, ...props }) {
 
     return (
         <Paragraph {...props}>
-            <a href={href} className='underline text-blue-700' {...linkDataAttrs}>
+            <a href={href} {...getPreviewProps(theme, 'hyperlink', {}, 'underline text-blue-700')} {...linkDataAttrs}>
                 <TextRun data-style='Hyperlink'>{label}</TextRun>
             </a>
         </Paragraph>
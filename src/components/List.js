@@ -1,35 +1,113 @@
-import React, { Fragment } from 'react';
-import { Paragraphs } from './Paragraph';
+import React, { Fragment, useId } from 'react';
+import Paragraph, { Paragraphs } from './Paragraph';
 import { Links } from './Link';
 import { Images } from './Image';
+import { formatListNumber, getListNumberingReference } from '../numbering';
+import { parseStyledString } from '../utils';
+import { createTextRun } from './TextRun';
+import { getPreviewProps } from '../theme';
+import { useReportTheme } from './ReportTheme';
 
 /**
  * A component that renders a list of items, each potentially containing paragraphs, links, images, and nested lists.
  *
+ * Ordered lists emit docx numbering attributes. The matching numbering definitions are created by `createListNumbering`,
+ * which `buildDocxDocument` applies automatically. Inside a `ReportTheme`, the preview of the items is styled by the
+ * `list` theme.
+ *
+ * Reversed lists count down to 1, e.g. for publication lists with the most recent first. Docx numbering cannot count
+ * down, so their numbers are written out, followed by a tab to the hanging indent of the item.
+ *
+ * @example
+ * <List data={publications} reversed prefix='J' /> // J12. ... J1.
+ *
  * @param {Object} props - The component props.
  * @param {Array} props.data - The array of list items to render.
  * @param {number} [props.level=0] - The current nesting level of the list.
+ * @param {boolean} [props.ordered=false] - Whether the list is numbered instead of bulleted.
+ * @param {string} [props.format='decimal'] - The numbering format of an ordered list: 'decimal', 'lower-alpha', 'upper-alpha', 'lower-roman' or 'upper-roman'.
+ * @param {boolean} [props.reversed=false] - Whether the list is numbered from `start` down to 1. Nested lists are reversed as well.
+ * @param {number} [props.start] - The first number of the list: 1 by default, or the number of items for a reversed list.
+ * @param {string} [props.prefix=''] - The text before the numbers of a reversed list, e.g. 'J' for "J12.". Nested lists use the same prefix.
+ * @param {number} [props.hanging=720] - The hanging indent of the items of a reversed list in twips, which must fit the longest number.
+ * @param {string} [props.instance] - The key of the docx numbering instance, shared by nested lists. A new instance is used by default.
+ * @param {string} [props.reference] - The docx numbering reference, shared by nested lists. Derived from the format and start by default.
  * @returns {JSX.Element[]} - An array of fragments containing the rendered list items.
  */
-export default function List({ data, level = 0 }) {
+export default function List({ data, level = 0, ordered = false, reversed = false, format = 'decimal', start, prefix = '', hanging = 720, instance, reference }) {
+    const id = useId();
+    const theme = useReportTheme();
+
+    if (start === undefined) start = reversed ? data.length : 1;
+
+    // reversed lists write their numbers out instead of using docx numbering
+    if (reversed) ordered = false;
+
+    // each ordered list gets its own docx numbering instance, so its numbers restart. React ids are unique within a root,
+    // so reports rendered in several roots give each one an `identifierPrefix`
+    if (ordered && instance === undefined) instance = id;
+
+    // nested lists share the numbering reference of the top level list
+    if (ordered && !reference) reference = getListNumberingReference(format, start);
+
     return data.map((entry, index) => {
-        const { paragraphs, links, imgs, lists } = entry;
+        const { paragraphs = [], links, imgs, lists } = entry;
 
-        const className = `relative pl-8 before:absolute before:top-[50%] before:left-0 before:translate-y-[-50%] before:w-2 before:h-2 before:rounded-full before:bg-black`;
         const style = { marginLeft: `${(level + 1) * 1.5}rem` };
 
-        const dataProps = {
-            className: className,
-            style: style,
-            'data-bullet-level': level
-        };
+        let dataProps, itemProps, marker;
+
+        if (reversed) {
+            marker = `${prefix}${formatListNumber(start - index, format)}.`;
+            // the text of the items is aligned with the text of numbered lists
+            const left = 720 * level + hanging;
+
+            itemProps = {
+                ...getPreviewProps(theme, 'list'),
+                indent: { left, hanging },
+                // the tab after the number goes to the text, as it does at a hanging indent in Word
+                'data-tabstops': `left:${left}:none`
+            };
+            dataProps = { ...getPreviewProps(theme, 'list'), indent: { left } };
+        } else if (ordered) {
+            const marker = `${formatListNumber((level === 0 ? start : 1) + index, format)}.`;
+
+            itemProps = {
+                ...getPreviewProps(theme, 'list', { style: { ...style, '--list-marker': `"${marker}"` } }, 'relative pl-8 before:absolute before:left-0 before:content-[var(--list-marker)]'),
+                'data-numbering-reference': reference,
+                'data-numbering-level': level,
+                'data-numbering-instance': instance
+            };
+            // only the first paragraph of an item is numbered, the rest of the item is aligned with its text
+            dataProps = getPreviewProps(theme, 'list', { style }, 'pl-8');
+        } else {
+            dataProps = {
+                ...getPreviewProps(theme, 'list', { style }, 'relative pl-8 before:absolute before:top-[50%] before:left-0 before:translate-y-[-50%] before:w-2 before:h-2 before:rounded-full before:bg-black'),
+                'data-bullet-level': level
+            };
+        }
+
+        const nestedProps = reversed ? { level: level + 1, reversed, format, prefix, hanging } : ordered ? { level: level + 1, ordered, format, instance, reference } : { level: level + 1 };
+        const numbered = ordered || reversed;
 
         return (
             <Fragment key={index}>
-                <Paragraphs data={paragraphs} dataProps={dataProps}></Paragraphs>
+                {reversed && paragraphs.length ? (
+                    <Paragraph {...itemProps}>
+                        <span className='inline-block indent-0' style={{ width: `${hanging / 20}pt` }} data-type='text'>
+                            {marker}
+                        </span>
+                        <span data-type='tab'></span>
+                        {parseStyledString(paragraphs[0]).map((text, index) => {
+                            return <Fragment key={index}>{createTextRun(text)}</Fragment>;
+                        })}
+                    </Paragraph>
+                ) : null}
+                {ordered && paragraphs.length ? <Paragraph data={paragraphs[0]} {...itemProps}></Paragraph> : null}
+                <Paragraphs data={numbered ? paragraphs.slice(1) : paragraphs} dataProps={dataProps}></Paragraphs>
                 <Images data={imgs} dataProps={dataProps}></Images>
                 <Links data={links} dataProps={dataProps}></Links>
-                <Lists data={lists} dataProps={{ level: level + 1 }}></Lists>
+                <Lists data={lists} dataProps={nestedProps}></Lists>
             </Fragment>
         );
     });
@@ -40,7 +118,7 @@ export default function List({ data, level = 0 }) {
  *
  * @param {Object} props - The component props.
  * @param {Array} props.data - The array of lists to render.
- * @param {Object} [props.dataProps={}] - Additional props to pass to each List component.
+ * @param {Object} [props.dataProps={}] - Additional props to pass to each List component, e.g. { ordered: true, format: 'lower-alpha' }.
  * @returns {JSX.Element|null} - A fragment containing all lists or null if no data.
  */
 export function Lists({ data, dataProps = {} }) {
@@ -0,0 +1,116 @@
+import React from 'react';
+import { twMerge } from 'tailwind-merge';
+import Paragraph from './Paragraph';
+
+const variantLabels = {
+    default: 'Page',
+    first: 'First page',
+    even: 'Even page'
+};
+
+/**
+ * Renders the content of a page header or footer, as a paragraph from `data` or as the given children.
+ *
+ * @param {string} [data] - The styled string to render as a paragraph.
+ * @param {React.ReactNode} [children] - The paragraphs to render if no data is provided.
+ * @returns {React.ReactNode} - The content.
+ */
+function renderContent(data, children) {
+    return data ? <Paragraph data={data} /> : children;
+}
+
+/**
+ * A component that renders a running page header. In the preview it is shown once, where it is placed.
+ *
+ * A 'first' header replaces the default one on the first page, and an 'even' header replaces it on even pages.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.variant='default'] - The pages the header applies to: 'default', 'first' or 'even'.
+ * @param {string} [props.data] - The styled string to render as the header paragraph.
+ * @param {React.ReactNode} [props.children] - The header paragraphs, used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element|null} - A header element or null if no data or children.
+ */
+export function PageHeader({ variant = 'default', data, children, className, ...props }) {
+    if (!children && !data) return null;
+
+    return (
+        <header {...props} className={twMerge('mb-4 pb-1 border-b border-dashed border-gray-300 text-sm text-gray-600', className)} data-variant={variant} data-type='header'>
+            <span className='block text-[10px] uppercase tracking-wide text-gray-400' data-type='emptyLine'>
+                {variantLabels[variant]} header
+            </span>
+            {renderContent(data, children)}
+        </header>
+    );
+}
+
+/**
+ * A component that renders a running page footer. In the preview it is shown once, where it is placed.
+ *
+ * A 'first' footer replaces the default one on the first page, and an 'even' footer replaces it on even pages.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.variant='default'] - The pages the footer applies to: 'default', 'first' or 'even'.
+ * @param {string} [props.data] - The styled string to render as the footer paragraph.
+ * @param {React.ReactNode} [props.children] - The footer paragraphs, used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element|null} - A footer element or null if no data or children.
+ */
+export function PageFooter({ variant = 'default', data, children, className, ...props }) {
+    if (!children && !data) return null;
+
+    return (
+        <footer {...props} className={twMerge('mt-4 pt-1 border-t border-dashed border-gray-300 text-sm text-gray-600', className)} data-variant={variant} data-type='footer'>
+            <span className='block text-[10px] uppercase tracking-wide text-gray-400' data-type='emptyLine'>
+                {variantLabels[variant]} footer
+            </span>
+            {renderContent(data, children)}
+        </footer>
+    );
+}
+
+/**
+ * A component that renders the current page number, or the total number of pages, inside a paragraph.
+ * The preview shows a '#' placeholder, since pages only exist in the docx output.
+ *
+ * @example
+ * <Paragraph>
+ *     <TextRun>Page </TextRun>
+ *     <PageNumber />
+ *     <TextRun> of </TextRun>
+ *     <PageNumber total />
+ * </Paragraph>
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} [props.total=false] - Whether to render the total number of pages instead of the current page number.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A span element standing for the page number.
+ */
+export function PageNumber({ total = false, className, ...props }) {
+    const dataAttributes = {};
+
+    if (total) {
+        dataAttributes['data-total'] = true;
+    }
+
+    return (
+        <span {...props} className={twMerge('text-gray-500', className)} title={total ? 'Total pages' : 'Page number'} {...dataAttributes} data-type='pageNumber'>
+            <span data-type='emptyLine'>#</span>
+        </span>
+    );
+}
+
+/**
+ * A component that forces the following content to start on a new page.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A page break marker.
+ */
+export function PageBreak({ className, ...props }) {
+    return (
+        <div {...props} className={twMerge('my-6 flex items-center text-[10px] uppercase tracking-wide text-gray-400 before:flex-1 before:border-t before:border-dashed before:border-gray-300 before:mr-2 after:flex-1 after:border-t after:border-dashed after:border-gray-300 after:ml-2', className)} data-type='pageBreak'>
+            <span data-type='emptyLine'>Page break</span>
+        </div>
+    );
+}
@@ -1,7 +1,19 @@
 import React, { Fragment } from 'react';
-import TextRun from './TextRun';
+import { TabStopPosition } from 'docx';
+import { createTextRun } from './TextRun';
 import { parseStyledString } from '../utils';
-import { twJoin } from 'tailwind-merge';
+import { getPreviewProps } from '../theme';
+import { getParagraphLayoutProps, getColumnLayout, getLeaderStyle } from '../layout';
+import { useReportTheme } from './ReportTheme';
+import { useTextWidth } from './Section';
+
+// the preview alignment of the content of each column alignment
+const columnJustifications = {
+    left: 'flex-start',
+    center: 'center',
+    right: 'flex-end',
+    decimal: 'flex-end'
+};
 
 /**
  * Finds the first significant text content in the second item of a list.
@@ -34,53 +46,142 @@ function findSecondLeadingText(list) {
 }
 
 /**
- * Creates a styled text run component.
+ * Checks whether text parts contain a tab character, which separates the columns of a tabbed paragraph.
  *
- * @param {Object} text - The text object containing content and style flags.
- * @param {Object} [extraDataAttributes={}] - Additional data attributes to add to the component.
- * @param {string} [className=''] - Additional tailwindCSS class names to apply.
- * @returns {JSX.Element} - A TextRun component with applied styles and content.
+ * @param {Object[]} parts - The text parts, as returned by `parseStyledString`.
+ * @returns {boolean} - Whether a part contains a tab.
  */
-function createTextRun(text, extraDataAttributes = {}, className = '') {
-    const { content, italics, bold, underline } = text;
+const hasTabs = (parts) => parts.some((part) => part.content?.includes('\t'));
 
-    const dataAttributes = {};
+/**
+ * Splits text parts at their tab characters, keeping the styles of each part.
+ *
+ * @param {Object[]} parts - The text parts, as returned by `parseStyledString`.
+ * @returns {Object[][]} - The text parts of each column.
+ */
+function splitAtTabs(parts) {
+    const columns = [[]];
 
-    if (italics) {
-        dataAttributes['data-italics'] = true;
-    }
+    parts.forEach((part) => {
+        if (!part.content?.includes('\t')) return columns[columns.length - 1].push(part);
 
-    if (bold) {
-        dataAttributes['data-bold'] = true;
-    }
+        part.content.split('\t').forEach((content, index) => {
+            if (index) columns.push([]);
+            if (content) columns[columns.length - 1].push({ ...part, content });
+        });
+    });
 
-    if (underline) {
-        dataAttributes['data-underline'] = true;
-    }
+    return columns;
+}
 
-    return (
-        <TextRun className={twJoin(italics && 'italic', bold && 'font-bold', underline && 'underline', className)} {...dataAttributes} {...extraDataAttributes}>
-            {content}
-        </TextRun>
-    );
+/**
+ * Renders the content of a paragraph: text parts as text runs, anything else as it is.
+ *
+ * @param {Object[]|React.ReactNode} content - The text parts or React nodes.
+ * @returns {React.ReactNode} - The rendered content.
+ */
+function renderContent(content) {
+    if (!Array.isArray(content)) return content;
+
+    return content.map((text, index) => <Fragment key={index}>{createTextRun(text)}</Fragment>);
 }
 
 /**
- * A dynamic paragraph component that can render content in different styles based on its format.
+ * A dynamic paragraph component that can render content in different styles based on its format. Inside a
+ * `ReportTheme`, the preview is styled by the `body` theme.
+ *
+ * With `columns`, or tab characters in `data` without a `format`, the content is laid out in columns separated by docx
+ * tab stops, such as "Title ........ 2021". The `format` modes splitting the text in two columns are kept for existing
+ * reports.
+ *
+ * @example
+ * <Paragraph columns={[{ data: 'Annual report' }, { data: '2021', align: 'right', leader: 'dot' }]} />
+ * <Paragraph data={'Annual report\t2021'} columns={[{}, { align: 'right', leader: 'dot' }]} />
  *
  * @param {Object} props - The component props.
  * @param {React.ComponentType} [props.as='p'] - The tag or component to use as the paragraph wrapper.
- * @param {string} [props.data] - The styled string data to parse and display.
+ * @param {string|Object[]} [props.data] - The styled string data to parse and display, or text parts already parsed (e.g. from `formatCitation`).
  * @param {Object} [props.format] - Format options that modify the layout of the paragraph.
  * @param {React.ReactNode} [props.children] - Default children to render if no data is provided.
+ * @param {Object[]} [props.columns] - The columns of a tabbed paragraph. Each column takes its content as `data` (a styled
+ * string or text parts) or `children`, unless the content is given as `data` on the paragraph with tab characters
+ * between columns. Columns also take a `width` in twips (the columns without one share the rest of the line), an
+ * `align` ('left', 'center', 'right' or 'decimal') and a `leader` ('dot', 'hyphen', 'underscore' or 'middleDot')
+ * filling the space before the column.
+ * @param {number} [props.lineWidth] - The width of the line in twips, which the columns divide. Defaults to the text width of the
+ * enclosing `Section`, or of the docx default page (A4 with 1 inch margins) outside of a section with page setup props.
+ * @param {string} [props.align] - The alignment: 'left', 'center', 'right' or 'justify'.
+ * @param {Object} [props.indent] - The indentation in twips as { left, right, hanging, firstLine }.
+ * @param {number} [props.spacingBefore] - The space before the paragraph in twips.
+ * @param {number} [props.spacingAfter] - The space after the paragraph in twips.
+ * @param {number} [props.lineSpacing] - The line spacing as a multiple of single spacing, e.g. 1.5.
+ * @param {boolean} [props.keepNext] - Whether the paragraph stays on the same page as the next one.
+ * @param {boolean} [props.keepLines] - Whether the lines of the paragraph stay on the same page.
+ * @param {boolean} [props.pageBreakBefore] - Whether the paragraph starts on a new page.
+ * @param {Object|string} [props.shading] - The shading, e.g. { fill: 'F2F2F2' }, or the fill color alone.
+ * @param {Object} [props.border] - The borders keyed by side, e.g. { bottom: { size: 6 } }, or a single border for all sides.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @param {Object} [props.style] - Additional inline styles, which take precedence over the theme and layout props.
  * @returns {JSX.Element} - A paragraph element styled according to the provided format and data.
  */
-export default function Paragraph({ as = 'p', data, children, format, ...props }) {
+export default function Paragraph({ as = 'p', data, children, format, columns, lineWidth, align, indent, spacingBefore, spacingAfter, lineSpacing, keepNext, keepLines, pageBreakBefore, shading, border, className, style, ...props }) {
     const Tag = as;
+    const theme = useReportTheme();
+    const textWidth = useTextWidth();
 
-    if (data) {
-        const parsed = parseStyledString(data);
+    const layout = getParagraphLayoutProps({ align, indent, spacingBefore, spacingAfter, lineSpacing, keepNext, keepLines, pageBreakBefore, shading, border });
+
+    // the preview styles and docx attributes of the layout props, on top of the theme
+    const getParagraphProps = (defaultClassName) => ({
+        ...getPreviewProps(theme, 'body', { className, style: { ...layout.style, ...style } }, defaultClassName),
+        ...layout.dataAttributes
+    });
 
+    const parsed = data ? (Array.isArray(data) ? data : parseStyledString(data)) : null;
+
+    // tab characters only make columns when no format mode lays out the data
+    if (columns || (parsed && !format && hasTabs(parsed))) {
+        const contents = parsed ? splitAtTabs(parsed) : columns.map((column) => (column.data ? (Array.isArray(column.data) ? column.data : parseStyledString(column.data)) : column.children));
+
+        if (parsed && columns && contents.length !== columns.length) {
+            console.warn(`Paragraph data has ${contents.length - 1} tab characters for ${columns.length} columns, expected ${columns.length - 1}. The content of the columns is taken from the data only.`);
+        }
+
+        // the docx default page is A4 with one inch margins
+        lineWidth = lineWidth || textWidth || TabStopPosition.MAX;
+
+        const columnLayout = getColumnLayout(
+            Array.from({ length: Math.max(contents.length, columns?.length || 0) }, (_, index) => columns?.[index] || {}),
+            lineWidth
+        );
+
+        const tabStops = columnLayout
+            .filter(({ tabStop }) => tabStop)
+            .map(({ tabStop: { type, position, leader } }) => `${type}:${position}:${leader}`)
+            .join(' ');
+
+        return (
+            <Tag {...props} {...getParagraphProps('flex items-baseline')} data-tabstops={tabStops || undefined} data-type='paragraph'>
+                {columnLayout.map((column, index) => {
+                    const next = columnLayout[index + 1];
+                    // the leader fills the space before the tab stop, at the end of the previous column for a left aligned column
+                    const leaderBefore = index > 0 && column.align !== 'left' ? getLeaderStyle(column.leader) : null;
+                    const leaderAfter = next?.align === 'left' ? getLeaderStyle(next.leader) : null;
+
+                    return (
+                        <span key={index} className='flex items-baseline' style={{ width: `${(column.width / lineWidth) * 100}%`, justifyContent: columnJustifications[column.align] }} data-type='contentWrapper'>
+                            {index > 0 ? <span data-type='tab'></span> : null}
+                            {leaderBefore ? <span className='flex-1 mx-1' style={leaderBefore} data-type='emptyLine'></span> : null}
+                            <span data-type='contentWrapper'>{renderContent(contents[index])}</span>
+                            {leaderAfter ? <span className='flex-1 mx-1' style={leaderAfter} data-type='emptyLine'></span> : null}
+                        </span>
+                    );
+                })}
+            </Tag>
+        );
+    }
+
+    if (data) {
         if (format) {
             const { mode, list, numberingNumber } = format;
 
@@ -101,7 +202,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
 
                 if (mode === 'twoColumnLayoutWide' || mode === 'twoColumnLayout') {
                     return (
-                        <Tag {...props} className='flex' data-type='paragraph' data-style={mode}>
+                        <Tag {...props} {...getParagraphProps('flex')} data-type='paragraph' data-style={mode}>
                             <span className={mode === 'twoColumnLayoutWide' ? 'w-2/3' : 'w-1/2'} data-type='contentWrapper'>
                                 {firstColumn.map((text, index) => (
                                     <Fragment key={index}>{createTextRun(text)}</Fragment>
@@ -127,7 +228,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
                     );
                 } else if (mode === 'twoColumnLayoutJustified') {
                     return (
-                        <Tag {...props} className='flex justify-between' data-type='paragraph' data-style={mode}>
+                        <Tag {...props} {...getParagraphProps('flex justify-between')} data-type='paragraph' data-style={mode}>
                             <span data-type='contentWrapper'>
                                 {firstColumn.map((text, index) => (
                                     <Fragment key={index}>{createTextRun(text)}</Fragment>
@@ -153,7 +254,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
                     );
                 } else if (mode === 'twoLevelIndentation') {
                     return (
-                        <Tag {...props} className='flex' data-type='paragraph' data-style={mode}>
+                        <Tag {...props} {...getParagraphProps('flex')} data-type='paragraph' data-style={mode}>
                             <span className='w-1/3 pl-8' data-type='contentWrapper'>
                                 {firstColumn.map((text, index) => (
                                     <Fragment key={index}>{createTextRun(text)}</Fragment>
@@ -180,7 +281,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
                 }
             } else if (mode === 'ordered-list-reversed' && numberingNumber) {
                 return (
-                    <Tag {...props} className='flex ml-3' data-type='paragraph' data-style={'reversedList'}>
+                    <Tag {...props} {...getParagraphProps('flex ml-3')} data-type='paragraph' data-style={'reversedList'}>
                         <span className='w-8 text-right' data-type='contentWrapper'>
                             {createTextRun({
                                 content: `${numberingNumber}.`
@@ -210,7 +311,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
         }
 
         return (
-            <Tag {...props} data-type='paragraph'>
+            <Tag {...props} {...getParagraphProps()} data-type='paragraph'>
                 {parsed.map((text, index) => {
                     return <Fragment key={index}>{createTextRun(text)}</Fragment>;
                 })}
@@ -219,7 +320,7 @@ export default function Paragraph({ as = 'p', data, children, format, ...props }
     }
 
     return (
-        <p {...props} data-type='paragraph'>
+        <p {...props} {...getParagraphProps()} data-type='paragraph'>
             {children}
         </p>
     );
@@ -0,0 +1,37 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { createTheme } from '../theme';
+
+const ThemeContext = createContext(null);
+
+/**
+ * Gets the theme of the closest `ReportTheme`.
+ *
+ * @returns {Object|null} - The theme, or null outside a `ReportTheme`, in which case components keep their own preview styles.
+ */
+export function useReportTheme() {
+    return useContext(ThemeContext);
+}
+
+/**
+ * A component that sets the fonts, sizes, colors and spacing of the headings, body text, lists, hyperlinks and captions
+ * of the report preview. Pass the same theme to `createDocxStyles` so the exported document looks alike.
+ *
+ * @example
+ * const theme = { font: 'Georgia', heading1: { size: 20, color: '000000' } };
+ *
+ * <ReportTheme theme={theme}>
+ *     <H1 data='Annual report' />
+ * </ReportTheme>
+ *
+ * const doc = await buildDocxDocument(htmlToDocx(html), { styles: createDocxStyles(theme) });
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} [props.theme] - The theme, or overrides of the default theme. See `defaultTheme`.
+ * @param {React.ReactNode} props.children - The report content.
+ * @returns {JSX.Element} - The content with the theme applied.
+ */
+export default function ReportTheme({ theme, children }) {
+    const value = useMemo(() => createTheme(theme), [theme]);
+
+    return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
@@ -1,18 +1,158 @@
-import React from 'react';
+import React, { createContext, useContext, useEffect, useId, useMemo, useRef } from 'react';
 import { twMerge } from 'tailwind-merge';
+import { convertMillimetersToTwip } from 'docx';
+import { getDataSourceInfo } from './SourceTooltip';
+import { registerDataSource } from './DataSourcesPanel';
+import { Footnotes } from './Footnote';
+
+// portrait page sizes in twips
+const pageSizes = {
+    letter: { width: 12240, height: 15840 },
+    a4: { width: 11906, height: 16838 },
+    legal: { width: 12240, height: 20160 }
+};
+
+const twipToMillimeters = (twip) => Math.round((twip / 1440) * 254) / 10;
+
+// the width of a line of text in the section, in twips
+const TextWidthContext = createContext(undefined);
+
+/**
+ * Gets the width of a line of text in the enclosing `Section`: the page width between the margins, or the width of a
+ * column when the section has several.
+ *
+ * @returns {number|undefined} - The width in twips, undefined outside of a section with page setup props.
+ */
+export function useTextWidth() {
+    return useContext(TextWidthContext);
+}
+
+/**
+ * Converts the page setup props of a Section into docx section data attributes and the styles of the page frame preview.
+ *
+ * @param {Object} setup - The page setup props.
+ * @returns {Object} - An object with `dataAttributes`, `pageStyle`, `columnStyle` and `textWidth` (in twips) entries.
+ */
+function getPageSetup({ pageSize = 'letter', orientation = 'portrait', margins = 25.4, columns, breakType }) {
+    const size = pageSizes[pageSize.toLowerCase()] || pageSizes.letter;
+    const landscape = orientation === 'landscape';
+
+    const dataAttributes = {
+        'data-page-size-width': size.width,
+        'data-page-size-height': size.height,
+        'data-page-size-orientation': landscape ? 'landscape' : 'portrait'
+    };
+
+    const pageStyle = {
+        width: `${twipToMillimeters(landscape ? size.height : size.width)}mm`,
+        minHeight: `${twipToMillimeters(landscape ? size.width : size.height)}mm`
+    };
+
+    const pageMargins = typeof margins === 'number' ? { top: margins, right: margins, bottom: margins, left: margins } : margins;
+
+    ['top', 'right', 'bottom', 'left'].forEach((side) => {
+        if (pageMargins[side] === undefined) return;
+
+        const cssSide = side.charAt(0).toUpperCase() + side.slice(1);
+
+        dataAttributes[`data-page-margin-${side}`] = convertMillimetersToTwip(pageMargins[side]);
+        pageStyle[`padding${cssSide}`] = `${pageMargins[side]}mm`;
+    });
+
+    // docx uses one inch margins by default
+    const marginTwips = (side) => (pageMargins[side] === undefined ? 1440 : convertMillimetersToTwip(pageMargins[side]));
+    let textWidth = (landscape ? size.height : size.width) - marginTwips('left') - marginTwips('right');
+
+    const columnStyle = {};
+
+    if (columns) {
+        const { count, space = 12.7 } = typeof columns === 'number' ? { count: columns } : columns;
+
+        textWidth = (textWidth - convertMillimetersToTwip(space) * (count - 1)) / count;
+
+        dataAttributes['data-column-count'] = count;
+        dataAttributes['data-column-space'] = convertMillimetersToTwip(space);
+        columnStyle.columnCount = count;
+        columnStyle.columnGap = `${space}mm`;
+    }
+
+    if (breakType) {
+        dataAttributes['data-sectiontype'] = breakType;
+    }
+
+    return { dataAttributes, pageStyle, columnStyle, textWidth: Math.round(textWidth) };
+}
 
 /**
  * A React component that renders its children inside a section element with a maximum width of 4xl.
  *
+ * With page setup props, the section becomes a docx section of its own, previewed as a page-shaped frame. Content
+ * after it goes back to the default page setup.
+ *
+ * A section with source info registers it, so a `DataSourcesPanel` can list where the content of the report comes from.
+ * The footnotes of the section are listed at its bottom in the preview.
+ *
  * @param {Object} props - The properties passed to the component.
  * @param {React.ReactNode} props.children - The content to be rendered inside the section.
  * @param {string} [props.className] - Additional classes to apply to the section.
+ * @param {React.ReactNode} [props.tooltip] - A tooltip, such as a SourceTooltip, rendered next to the content.
+ * @param {Object} [props.sourceInfo] - The source info of the section content, derived from `input` when not given. See `getDataSourceInfo`.
+ * @param {Object} [props.input] - The input of the report component, with its format, profile and data.
+ * @param {string} [props.pageSize] - The page size: 'letter', 'a4' or 'legal'. Defaults to 'letter' when another page setup prop is given.
+ * @param {string} [props.orientation] - The page orientation: 'portrait' or 'landscape'.
+ * @param {number|Object} [props.margins] - The page margins in millimeters, either one value or { top, right, bottom, left }. Defaults to 25.4 (one inch).
+ * @param {number|Object} [props.columns] - The number of text columns, or { count, space } with the space between columns in millimeters.
+ * @param {string} [props.breakType] - How the section starts: 'nextPage', 'continuous', 'evenPage', 'oddPage' or 'nextColumn'.
  * @returns {JSX.Element} - A section element containing the children.
  */
-export default function Section({ children, className = '', tooltip, ...props }) {
+export default function Section({ children, className = '', tooltip, sourceInfo, input, pageSize, orientation, margins, columns, breakType, ...props }) {
+    const ref = useRef(null);
+    const key = useId();
+    const info = useMemo(() => sourceInfo || getDataSourceInfo(input), [sourceInfo, input]);
+
+    const unregisterRef = useRef(null);
+    // a new input object with the same source info keeps the registered entry
+    const serializedInfo = info ? JSON.stringify(info) : null;
+
+    useEffect(() => {
+        if (!info) {
+            unregisterRef.current?.();
+            unregisterRef.current = null;
+            return;
+        }
+
+        // registering again under the same key updates the entry in place
+        unregisterRef.current = registerDataSource(key, { element: ref.current, sourceInfo: info });
+    }, [key, serializedInfo]);
+
+    useEffect(() => () => unregisterRef.current?.(), [key]);
+
+    if (pageSize || orientation || margins !== undefined || columns || breakType) {
+        const { dataAttributes, pageStyle, columnStyle, textWidth } = getPageSetup({ pageSize, orientation, margins, columns, breakType });
+
+        return (
+            <section
+                ref={ref}
+                className={twMerge('mx-auto my-8 max-w-full bg-white shadow-md border border-gray-200', className, tooltip && 'flex items-start space-x-2')}
+                style={pageStyle}
+                {...props}
+                {...dataAttributes}
+                data-type='documentSection'>
+                <div className='flex-grow' style={columnStyle}>
+                    <TextWidthContext.Provider value={textWidth}>
+                        <Footnotes>{children}</Footnotes>
+                    </TextWidthContext.Provider>
+                </div>
+                {tooltip}
+            </section>
+        );
+    }
+
     return (
-        <section className={twMerge('mx-auto w-full max-w-4xl', className, tooltip && 'flex items-start space-x-2')} {...props}>
-            <div className='flex-grow'>{children}</div>
+        <section ref={ref} className={twMerge('mx-auto w-full max-w-4xl', className, tooltip && 'flex items-start space-x-2')} {...props}>
+            <div className='flex-grow'>
+                <Footnotes>{children}</Footnotes>
+            </div>
             {tooltip}
         </section>
     );
@@ -1,78 +1,419 @@
-import React from 'react';
+import React, { useId } from 'react';
 import { Tooltip } from 'react-tooltip';
 import { MdInfoOutline } from 'react-icons/md';
 
-const getDataSourceInfo = (input) => {
-    if (!input) return null;
+// the readable rule of each filter operator, with the plural form used for a list of values
+const filterRules = {
+    '=': ['is', 'is one of'],
+    '!=': ['is not', 'is none of'],
+    '<': ['is less than'],
+    '>': ['is greater than'],
+    '<=': ['is at most'],
+    '>=': ['is at least'],
+    in: ['is one of', 'is one of'],
+    contains: ['contains', 'contains any of'],
+    empty: ['is empty'],
+    'not empty': ['is not empty']
+};
 
-    const { format, profile } = input;
+/**
+ * Splits a filter into tokens: parentheses, quoted values and words, with their position in the filter.
+ *
+ * @param {string} filter - The filter, e.g. '(= type journal|book or empty type) and >= year 2015'.
+ * @returns {Object[]} - The tokens, as { text, start, end }.
+ */
+const tokenizeFilter = (filter) =>
+    [...filter.matchAll(/[()]|"[^"]*"|'[^']*'|[^\s()]+/g)].map((match) => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
 
-    if (!format || !profile || !format.report) return null;
+/**
+ * Parses a filter into a tree of conditions and 'and'/'or' groups.
+ *
+ * A condition is an operator followed by a field name and a value, e.g. '= status active', '>= year 2015' or
+ * '!= type journal|book' where '|' separates a list of values. 'empty' and 'not empty' take a field name only.
+ * Conditions are combined with 'and' and 'or', 'and' taking precedence, and grouped with parentheses. A value
+ * keeps its spacing and ends at an 'and' or 'or' followed by another condition or a parenthesis, so values such as
+ * 'Research and Development' need no quotes. Other values containing 'and' or 'or' can be quoted.
+ *
+ * @param {string} filter - The filter.
+ * @returns {Object} - The parsed filter, a { operator, field, values } condition or an { operator: 'and'|'or', conditions } group.
+ * @throws {Error} - If the filter is not valid.
+ */
+const parseFilterExpression = (filter) => {
+    const tokens = tokenizeFilter(filter);
+    let position = 0;
+    // the number of open groups, whose closing parenthesis ends a value
+    let depth = 0;
 
-    const { select: path, filter } = format.report;
+    const peek = (offset = 0) => tokens[position + offset]?.text;
+    const next = () => tokens[position++]?.text;
 
-    const info = profile.getSectionInfo(path);
+    const isOperator = (offset) => {
+        const token = peek(offset)?.toLowerCase();
 
-    if (!info) return null;
+        if (token === 'not') return peek(offset + 1)?.toLowerCase() === 'empty';
 
-    const { label, fields } = info;
+        return Object.prototype.hasOwnProperty.call(filterRules, token);
+    };
 
-    return {
-        section: label,
-        condition: filter ? parseFilter(filter, fields) : null
+    // 'and' and 'or' only combine conditions when another condition or a group follows, otherwise they are part of a value
+    const isConjunction = () => ['and', 'or'].includes(peek()?.toLowerCase()) && (peek(1) === '(' || isOperator(1));
+
+    const parseGroup = (operator, parseOperand) => {
+        const conditions = [parseOperand()];
+
+        while (peek()?.toLowerCase() === operator && isConjunction()) {
+            next();
+            conditions.push(parseOperand());
+        }
+
+        return conditions.length === 1 ? conditions[0] : { operator, conditions };
     };
-};
 
-const parseFilter = (filter, fields) => {
-    const [symbol, fieldName, ...value] = filter.split(' ');
+    const parseValue = () => {
+        const first = position;
+        // the parentheses opened within the value, e.g. 'Smith (Jr)'
+        let nesting = 0;
+
+        while (position < tokens.length) {
+            const token = peek();
+
+            if (token === '(') {
+                nesting++;
+            } else if (token === ')') {
+                if (!nesting && depth) break;
+                nesting = Math.max(0, nesting - 1);
+            } else if (!nesting && isConjunction()) {
+                break;
+            }
+
+            position++;
+        }
+
+        // keep the text between the tokens as written, removing the quotes of quoted tokens
+        return tokens
+            .slice(first, position)
+            .map(({ text, start }, index, valueTokens) => (index ? filter.slice(valueTokens[index - 1].end, start) : '') + text.replace(/^(["'])(.*)\1$/, '$2'))
+            .join('');
+    };
+
+    const parseCondition = () => {
+        if (!isOperator(0)) throw new Error(`Unknown filter operator: ${peek()}`);
+
+        let operator = next().toLowerCase();
+
+        if (operator === 'not') {
+            next();
+            operator = 'not empty';
+        }
+
+        const field = next();
+
+        if (!field || field === '(' || field === ')') throw new Error(`Missing field name after ${operator}`);
+
+        let value = '';
+
+        if (operator !== 'empty' && operator !== 'not empty') {
+            value = parseValue();
+
+            if (!value) throw new Error(`Missing value after ${operator} ${field}`);
+        }
+
+        const values = value ? value.split('|') : [];
+
+        return { operator, field, values };
+    };
+
+    const parseOperand = () => {
+        if (peek() !== '(') return parseCondition();
+
+        next();
+        depth++;
+        const expression = parseExpression();
+
+        if (next() !== ')') throw new Error('Missing closing parenthesis');
+        depth--;
 
-    const field = Object.values(fields).find((f) => f.name === fieldName);
+        return expression;
+    };
+
+    const parseExpression = () => parseGroup('or', () => parseGroup('and', parseOperand));
+
+    const expression = parseExpression();
+
+    if (position < tokens.length) throw new Error(`Unexpected token: ${peek()}`);
+
+    return expression;
+};
 
-    if (!field) {
+/**
+ * Converts a filter into readable conditions, using the field labels of the section.
+ *
+ * @param {string} filter - The filter, see `parseFilterExpression` for its syntax.
+ * @param {Object} fields - The fields of the section, as returned by `profile.getSectionInfo`.
+ * @returns {Object|null} - A { field, rule, value } condition, where value is a string or a list of values, or a
+ *     { match: 'all'|'any', conditions } group. Null if the filter is not valid.
+ */
+const parseFilter = (filter, fields = {}) => {
+    let expression;
+
+    try {
+        expression = parseFilterExpression(filter);
+    } catch (e) {
+        console.warn(`Invalid filter "${filter}": ${e.message}`);
         return null;
     }
 
-    switch (symbol) {
-        case '=':
-            return { field: field.label, value: value.join(' ').replaceAll('|', ' - '), rule: 'equals to' };
-        default: {
-            console.warn(`Unknown filter symbol: ${symbol}`);
-            return null;
+    const describe = (node) => {
+        if (node.conditions) {
+            return { match: node.operator === 'and' ? 'all' : 'any', conditions: node.conditions.map(describe) };
+        }
+
+        const { operator, field: fieldName, values } = node;
+        const field = Object.values(fields).find((f) => f.name === fieldName);
+
+        if (!field) {
+            console.warn(`Unknown filter field: ${fieldName}`);
         }
+
+        const [singular, plural = singular] = filterRules[operator];
+        const isList = values.length > 1 || operator === 'in';
+
+        return { field: field?.label || fieldName, rule: isList ? plural : singular, value: isList ? values : values[0] || '' };
+    };
+
+    return describe(expression);
+};
+
+/**
+ * Renders a readable condition, or a group of conditions as a nested list.
+ *
+ * @param {Object} condition - The condition returned by `parseFilter`.
+ * @returns {JSX.Element} - The condition.
+ */
+export const renderCondition = (condition) => {
+    if (condition.conditions) {
+        return (
+            <div>
+                <div>{condition.match === 'all' ? 'All of the following:' : 'Any of the following:'}</div>
+                <ul className='list-disc pl-5'>
+                    {condition.conditions.map((child, index) => (
+                        <li key={index}>{renderCondition(child)}</li>
+                    ))}
+                </ul>
+            </div>
+        );
+    }
+
+    const { field, rule, value } = condition;
+
+    if (Array.isArray(value)) {
+        return (
+            <div>
+                {field} {rule}:
+                <ul className='list-disc pl-5'>
+                    {value.map((item, index) => (
+                        <li key={index}>{item}</li>
+                    ))}
+                </ul>
+            </div>
+        );
     }
+
+    return (
+        <div>
+            {field} {rule}
+            {value ? ` ${value}` : ''}
+        </div>
+    );
+};
+
+/**
+ * Splits a section path into its segments, e.g. 'publications/journal_articles' or 'publications.journal_articles'.
+ *
+ * @param {string} path - The section path.
+ * @returns {string[]} - The segments of the path.
+ */
+const splitSectionPath = (path) => String(path).split(/[/.]/).filter(Boolean);
+
+/**
+ * Parses a sort order into readable sort keys, using the field labels of the section.
+ *
+ * @param {string|Array} sort - The sort order: a field name ('year', '-year' or 'year desc'), a comma separated list of
+ *     them, or an array of them or of { field, order } objects.
+ * @param {Object} fields - The fields of the section.
+ * @returns {Object[]} - The sort keys as { field, order } with order 'ascending' or 'descending'.
+ */
+const parseSort = (sort, fields = {}) => {
+    const keys = Array.isArray(sort) ? sort : String(sort).split(',');
+
+    return keys
+        .map((key) => {
+            let fieldName, descending;
+
+            if (typeof key === 'object') {
+                fieldName = key.field;
+                descending = /^desc/i.test(key.order || key.direction || '');
+            } else {
+                const [name, order = ''] = key.trim().split(/[\s:]+/);
+
+                descending = name.startsWith('-') || /^desc/i.test(order);
+                fieldName = name.replace(/^[-+]/, '');
+            }
+
+            if (!fieldName) return null;
+
+            const field = Object.values(fields).find((f) => f.name === fieldName);
+
+            return { field: field?.label || fieldName, order: descending ? 'descending' : 'ascending' };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Derives the source info of a report component from its input: the sections it selects, their filters, the sort order,
+ * the limit and the number of records found.
+ *
+ * `format.report.select` is a section path, with nested sections separated by '/' or '.', or an array of paths.
+ * `format.report.filter` is a filter applied to every selected section, an array of filters matching the selected
+ * sections, or an object of filters keyed by path.
+ *
+ * @param {Object} input - The input of the report component.
+ * @param {Object} input.format - The format of the component, with the `report` settings (select, filter, sort, limit).
+ * @param {Object} input.profile - The profile the data comes from.
+ * @param {Array} [input.data] - The records found, used to count them.
+ * @returns {Object|null} - The source info as { sources: [{ section, path, condition, found }], sort, limit, count },
+ *     or null if the input does not select any section.
+ */
+export const getDataSourceInfo = (input) => {
+    if (!input) return null;
+
+    const { format, profile, data } = input;
+
+    if (!format || !profile || !format.report?.select) return null;
+
+    const { select, filter, sort, limit } = format.report;
+    const paths = Array.isArray(select) ? select : [select];
+
+    let sortFields;
+
+    const sources = paths.map((path, index) => {
+        const info = profile.getSectionInfo(path);
+
+        if (!info) {
+            console.warn(`No section found for ${path}.`);
+            return { section: path, path, condition: null, found: false };
+        }
+
+        const segments = splitSectionPath(path);
+
+        // nested sections are shown with the labels of their parent sections
+        const section = segments
+            .map((segment, depth) => {
+                if (depth === segments.length - 1) return info.label;
+
+                return profile.getSectionInfo(segments.slice(0, depth + 1).join(path.includes('/') ? '/' : '.'))?.label || segment;
+            })
+            .join(' › ');
+
+        const sectionFilter = Array.isArray(filter) ? filter[index] : typeof filter === 'object' && filter !== null ? filter[path] : filter;
+
+        sortFields = sortFields || info.fields;
+
+        return { section, path, condition: sectionFilter ? parseFilter(sectionFilter, info.fields) : null, found: true };
+    });
+
+    return {
+        sources,
+        sort: sort ? parseSort(sort, sortFields) : [],
+        limit: limit ? Number(limit) : null,
+        count: Array.isArray(data) ? data.length : null
+    };
 };
 
-const generateTooltipContent = (source) => {
-    const { section, condition } = source;
+/**
+ * Checks whether a source info found no data: none of its sections exist, or no records were found.
+ *
+ * @param {Object} sourceInfo - The source info.
+ * @returns {boolean} - True if no data was found.
+ */
+export const hasNoData = (sourceInfo) => {
+    const sources = sourceInfo.sources || [sourceInfo];
+
+    return sourceInfo.count === 0 || sources.every(({ found }) => found === false);
+};
+
+const generateTooltipContent = (sourceInfo) => {
+    // source info built by hand may describe a single section
+    const sources = sourceInfo.sources || [sourceInfo];
+    const { sort = [], limit } = sourceInfo;
 
     return (
         <div>
+            {hasNoData(sourceInfo) && <div className='mb-2 font-bold text-sm text-amber-300'>No data found</div>}
             <div className='font-bold text-sm'>Data comes from</div>
-            <div>{section}</div>
-            {condition && (
-                <div className='mt-2'>
-                    <div className='font-bold text-sm'>Condition</div>
+            {sources.map(({ section, condition, found }, index) => (
+                <div key={index} className={index > 0 ? 'mt-2' : undefined}>
                     <div>
-                        {condition.field} {condition.rule} {condition.value}
+                        {section}
+                        {found === false && <span className='italic'> (section not found)</span>}
                     </div>
+                    {condition && (
+                        <div className='mt-2'>
+                            <div className='font-bold text-sm'>Condition</div>
+                            {renderCondition(condition)}
+                        </div>
+                    )}
+                </div>
+            ))}
+            {sort.length > 0 && (
+                <div className='mt-2'>
+                    <div className='font-bold text-sm'>Sorted by</div>
+                    <div>{sort.map(({ field, order }) => `${field} (${order})`).join(', ')}</div>
+                </div>
+            )}
+            {limit ? (
+                <div className='mt-2'>
+                    <div className='font-bold text-sm'>Limit</div>
+                    <div>First {limit} records</div>
+                </div>
+            ) : null}
+            {typeof sourceInfo.count === 'number' && sourceInfo.count > 0 && (
+                <div className='mt-2'>
+                    <div className='font-bold text-sm'>Records used</div>
+                    <div>{sourceInfo.count}</div>
                 </div>
             )}
         </div>
     );
 };
 
+/**
+ * A component that renders an info icon with a tooltip describing where the data of a report component comes from.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} [props.sourceInfo] - The source info, derived from `input` when not given. See `getDataSourceInfo`.
+ * @param {Object} [props.input] - The input of the report component, with its format, profile and data.
+ * @param {string} [props.id] - A unique id for the tooltip anchor. Generated when not given.
+ * @returns {JSX.Element|null} - The info icon and tooltip, or null if there is no source info.
+ */
 export default function SourceTooltip({ sourceInfo, input, id }) {
-    // const sourceInfo = getDataSourceInfo(input);
+    // the ids generated by React contain colons, which are not valid in the CSS selector of the anchor
+    const generatedId = useId().replace(/[^\w-]/g, '');
+    const anchorId = `tooltip-anchor-${id || generatedId}`;
+
+    const info = sourceInfo || getDataSourceInfo(input);
+
+    if (!info) return null;
 
-    if (!sourceInfo) return null;
+    const noData = hasNoData(info);
 
     return (
         <>
-            <div id={`tooltip-anchor-${id}`}>
-                <MdInfoOutline className='w-6 h-6 text-gray-500 hover:text-gray-700' />
+            <div id={anchorId}>
+                <MdInfoOutline className={noData ? 'w-6 h-6 text-amber-500 hover:text-amber-700' : 'w-6 h-6 text-gray-500 hover:text-gray-700'} />
             </div>
-            <Tooltip anchorSelect={`#tooltip-anchor-${id}`} place='left' offset={20} delayHide={100} opacity={1.0} clickable={true} className='max-w-96'>
-                {generateTooltipContent(sourceInfo)}
+            <Tooltip anchorSelect={`#${anchorId}`} place='left' offset={20} delayHide={100} opacity={1.0} clickable={true} className='max-w-96'>
+                {generateTooltipContent(info)}
             </Tooltip>
         </>
     );
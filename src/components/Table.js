@@ -0,0 +1,187 @@
+import React from 'react';
+import { twJoin, twMerge } from 'tailwind-merge';
+import Paragraph, { Paragraphs } from './Paragraph';
+import Figure from './Figure';
+import { getBorderProps, getShadingProps } from '../layout';
+
+/**
+ * A component that renders a table cell. The cell content must be paragraphs (or nested tables) to be valid in docx.
+ *
+ * @param {Object} props - The component props.
+ * @param {string|string[]} [props.data] - The styled string, or array of styled strings, to render as the cell's paragraphs, used when no children are given.
+ * @param {Object} [props.width] - The cell width, e.g. { size: 2000, type: 'dxa' }.
+ * @param {Object} [props.margins] - The cell margins in twips, keyed by side (top, bottom, left, right).
+ * @param {Object} [props.borders] - The cell borders, keyed by side (top, bottom, left, right).
+ * @param {Object} [props.shading] - The cell shading, e.g. { fill: 'D9D9D9' }.
+ * @param {number} [props.columnSpan] - The number of columns the cell spans.
+ * @param {number} [props.rowSpan] - The number of rows the cell spans.
+ * @param {string} [props.verticalAlign] - The vertical alignment of the cell content: 'top', 'center' or 'bottom'.
+ * @param {React.ReactNode} [props.children] - The cell content.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A td element containing the cell content.
+ */
+export function TableCell({ data, width, margins, borders, shading, columnSpan, rowSpan, verticalAlign, children, className, style, ...props }) {
+    const { dataAttributes: borderAttributes, style: borderStyle } = getBorderProps(borders);
+    const { dataAttributes: shadingAttributes, style: shadingStyle } = getShadingProps(shading);
+
+    const dataAttributes = { ...borderAttributes, ...shadingAttributes };
+    const cellStyle = { ...borderStyle, ...shadingStyle };
+
+    if (width) {
+        dataAttributes['data-width-size'] = width.size;
+        dataAttributes['data-width-type'] = width.type || 'dxa';
+    }
+
+    if (margins) {
+        ['top', 'bottom', 'left', 'right'].forEach((side) => {
+            if (margins[side] === undefined) return;
+
+            const cssSide = side.charAt(0).toUpperCase() + side.slice(1);
+
+            dataAttributes[`data-margins-${side}`] = margins[side];
+            cellStyle[`padding${cssSide}`] = `${margins[side] / 20}pt`;
+        });
+    }
+
+    if (columnSpan > 1) dataAttributes['data-columnspan'] = columnSpan;
+    if (rowSpan > 1) dataAttributes['data-rowspan'] = rowSpan;
+    if (verticalAlign) dataAttributes['data-verticalalign'] = verticalAlign;
+
+    return (
+        <td
+            {...props}
+            className={twMerge(
+                'px-2 py-1',
+                twJoin(verticalAlign === 'top' && 'align-top', verticalAlign === 'center' && 'align-middle', verticalAlign === 'bottom' && 'align-bottom'),
+                className
+            )}
+            style={{ ...cellStyle, ...style }}
+            colSpan={columnSpan > 1 ? columnSpan : undefined}
+            rowSpan={rowSpan > 1 ? rowSpan : undefined}
+            {...dataAttributes}
+            data-type='tableCell'>
+            {children || (Array.isArray(data) && data.length ? <Paragraphs data={data} /> : <Paragraph data={Array.isArray(data) ? '' : data} />)}
+        </td>
+    );
+}
+
+/**
+ * A component that renders a table row.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} [props.header=false] - Whether the row is a header row, repeated at the top of each page in docx.
+ * @param {React.ReactNode} props.children - The TableCell components of the row.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - A tr element containing the cells.
+ */
+export function TableRow({ header = false, children, className, ...props }) {
+    const dataAttributes = {};
+
+    if (header) {
+        dataAttributes['data-tableheader'] = true;
+    }
+
+    return (
+        <tr {...props} className={twMerge(header && 'font-semibold', className)} {...dataAttributes} data-type='tableRow'>
+            {children}
+        </tr>
+    );
+}
+
+/**
+ * A component that renders a table, either from a data array or from TableRow children.
+ *
+ * When `data` is an array, each row is an array of cells, and each cell is either a styled string or an object with
+ * the TableCell props (e.g. { data: '<strong>Total</strong>', columnSpan: 2, shading: { fill: 'F2F2F2' } }).
+ * A table normalized by `parseBlockContent` ({ rows: [{ header, cells: [{ paragraphs }] }] }) is accepted as well.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array[]|Object} [props.data] - The rows of the table, or a table normalized by `parseBlockContent`.
+ * @param {number} [props.headerRows=0] - The number of leading rows in `data` to render as header rows.
+ * @param {number[]} [props.columnWidths] - The width of each column in twips.
+ * @param {Object} [props.width] - The table width, e.g. { size: 100, type: 'pct' }.
+ * @param {Object} [props.borders] - The borders, keyed by side (top, bottom, left, right), applied to the table and to each cell rendered from `data`.
+ * @param {string} [props.caption] - The styled string of a numbered "Table" caption rendered below the table.
+ * @param {string} [props.captionId] - The id of the table, used by cross references.
+ * @param {React.ReactNode} [props.children] - The TableRow components, used when no data is provided.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element|null} - A table element or null if no data or children.
+ */
+export default function Table({ data, headerRows = 0, columnWidths, width, borders, caption, captionId, children, className, style, ...props }) {
+    if (data && !Array.isArray(data)) {
+        const { rows = [] } = data;
+        const firstBodyRow = rows.findIndex((row) => !row.header);
+
+        headerRows = Math.max(headerRows, firstBodyRow === -1 ? rows.length : firstBodyRow);
+        data = rows.map((row) => row.cells.map(({ paragraphs, ...cell }) => ({ ...cell, data: paragraphs })));
+    }
+
+    if (!children && (!data || !data.length)) return null;
+
+    const { dataAttributes: borderAttributes, style: borderStyle } = getBorderProps(borders);
+
+    const dataAttributes = { ...borderAttributes };
+
+    if (columnWidths?.length) {
+        dataAttributes['data-columnwidths'] = columnWidths.join(',');
+    }
+
+    if (width) {
+        dataAttributes['data-width-size'] = width.size;
+        dataAttributes['data-width-type'] = width.type || 'dxa';
+    }
+
+    const totalWidth = columnWidths?.reduce((sum, columnWidth) => sum + columnWidth, 0);
+
+    const rows = data
+        ? data.map((row, rowIndex) => {
+              const header = rowIndex < headerRows;
+
+              return (
+                  <TableRow key={rowIndex} header={header}>
+                      {row.map((cell, cellIndex) => {
+                          const cellProps = typeof cell === 'object' && cell !== null ? cell : { data: cell };
+
+                          return <TableCell key={cellIndex} borders={borders} shading={header ? { fill: 'F2F2F2' } : undefined} {...cellProps} />;
+                      })}
+                  </TableRow>
+              );
+          })
+        : children;
+
+    const table = (
+        <table {...props} className={twMerge('w-full border-collapse table-fixed', className)} style={{ ...borderStyle, ...style }} {...dataAttributes} data-type='table'>
+            {totalWidth ? (
+                <colgroup>
+                    {columnWidths.map((columnWidth, index) => (
+                        <col key={index} style={{ width: `${(columnWidth / totalWidth) * 100}%` }} />
+                    ))}
+                </colgroup>
+            ) : null}
+            <tbody data-type='contentWrapper'>{rows}</tbody>
+        </table>
+    );
+
+    return caption ? (
+        <Figure caption={caption} label='Table' id={captionId}>
+            {table}
+        </Figure>
+    ) : (
+        table
+    );
+}
+
+/**
+ * A component that renders multiple Table components from a data array.
+ *
+ * @param {Array} data - Array of table data to render.
+ * @param {Object} dataProps - Props to pass to each Table component.
+ * @returns {JSX.Element|null} - A fragment containing all tables or null if no data.
+ */
+export function Tables({ data, dataProps = {} }) {
+    if (!data || !data.length) return null;
+
+    return data.map((table, index) => {
+        return <Table key={index} data={table} {...dataProps}></Table>;
+    });
+}
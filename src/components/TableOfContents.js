@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { twMerge } from 'tailwind-merge';
+import Paragraph from './Paragraph';
+
+/**
+ * Collects the headings of the page up to a given depth, leaving out the ones inside the table of contents itself.
+ *
+ * @param {HTMLElement} container - The table of contents element.
+ * @param {number} depth - The deepest heading level to collect.
+ * @returns {Object[]} - The headings, each with its element, level and text.
+ */
+function collectHeadings(container, depth) {
+    const headings = [];
+
+    for (const element of document.querySelectorAll('[data-heading^="HEADING_"]')) {
+        const level = Number(element.getAttribute('data-heading').replace('HEADING_', ''));
+
+        if (level > depth || container.contains(element)) continue;
+
+        // numbered headings show their outline number in a preview only element
+        const number = element.querySelector('[data-type="emptyLine"]')?.textContent;
+        const text = number ? `${number} ${element.textContent.slice(number.length)}` : element.textContent;
+
+        headings.push({ element, level, text });
+    }
+
+    return headings;
+}
+
+/**
+ * A component that renders a table of contents built from the headings of the report.
+ *
+ * The preview shows a clickable outline of the headings rendered in the page. The docx output is a TOC field built
+ * from the heading styles, which Word fills in with page numbers when the fields are updated.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.title='Table of Contents'] - The title shown above the table of contents, none if empty.
+ * @param {number} [props.depth=3] - The deepest heading level included.
+ * @param {string} [props.leader='dot'] - The leader between an entry and its page number: 'dot', 'hyphen', 'underscore', 'middleDot' or 'none'.
+ * @param {boolean} [props.hyperlink=true] - Whether the entries link to their headings in docx.
+ * @param {string} [props.className] - Additional CSS class names to apply.
+ * @returns {JSX.Element} - The table of contents.
+ */
+export default function TableOfContents({ title = 'Table of Contents', depth = 3, leader = 'dot', hyperlink = true, className, ...props }) {
+    const ref = useRef(null);
+    const [headings, setHeadings] = useState([]);
+
+    useEffect(() => {
+        if (!ref.current) return;
+
+        const collected = collectHeadings(ref.current, depth);
+
+        // only update when the outline changed, since the effect runs after every render
+        setHeadings((current) =>
+            current.length === collected.length && current.every((heading, index) => heading.element === collected[index].element && heading.text === collected[index].text)
+                ? current
+                : collected
+        );
+    });
+
+    const dataAttributes = {
+        'data-headingstylerange': `1-${depth}`,
+        'data-leader': leader
+    };
+
+    if (hyperlink) {
+        dataAttributes['data-hyperlink'] = true;
+    }
+
+    return (
+        <>
+            {title ? <Paragraph data={title} className='font-bold text-lg mb-2' data-style='TOCHeading' /> : null}
+            <nav ref={ref} {...props} className={twMerge('mb-4', className)} {...dataAttributes} data-type='tableOfContents'>
+                {/* the entries are filled in by Word, so the preview outline is left out of the docx output */}
+                <ul data-type='emptyLine'>
+                    {headings.map(({ element, level, text }, index) => (
+                        <li key={index} style={{ paddingLeft: `${(level - 1) * 1.5}rem` }}>
+                            <a
+                                href='#'
+                                className={twMerge('hover:underline', leader !== 'none' && 'flex after:flex-1 after:border-b after:border-dotted after:border-gray-400 after:mb-1 after:ml-2')}
+                                onClick={(e) => {
+                                    e.preventDefault();
+                                    element.scrollIntoView({ behavior: 'smooth' });
+                                }}>
+                                {text}
+                            </a>
+                        </li>
+                    ))}
+                </ul>
+            </nav>
+        </>
+    );
+}
@@ -1,4 +1,6 @@
-import React from 'react';
+import React, { Fragment } from 'react';
+import { twJoin } from 'tailwind-merge';
+import { highlightColors } from '../utils';
 
 /**
  * A React component that renders its children inside a span element with a `data-type` attribute set to 'text'.
@@ -14,3 +16,117 @@ export default function TextRun({ children, ...props }) {
         </span>
     );
 }
+
+/**
+ * Gets the data attributes of an inline link of a styled string, external for web and mail addresses and internal (a
+ * bookmark anchor, without its '#') otherwise. The `Link` component keeps its own rules.
+ *
+ * @param {string} href - The URL or anchor of the link.
+ * @returns {Object} - The data attributes of the hyperlink.
+ */
+export function getHyperlinkAttributes(href) {
+    if (/^(https?:|mailto:)/.test(href)) {
+        return { 'data-type': 'externalHyperlink', 'data-link': href };
+    }
+
+    return { 'data-type': 'internalHyperlink', 'data-anchor': href.replace(/^#/, '') };
+}
+
+/**
+ * Creates a styled text run component from a text part returned by `parseStyledString`.
+ * Link parts are rendered as inline hyperlinks containing their styled text runs.
+ *
+ * @param {Object} text - The text object containing content and style flags.
+ * @param {string} text.content - The text content.
+ * @param {boolean} [text.italics] - Flag indicating if the text should be italicized.
+ * @param {boolean} [text.bold] - Flag indicating if the text should be bold.
+ * @param {Object} [text.underline] - Flag indicating if the text should be underlined.
+ * @param {boolean} [text.superScript] - Flag indicating if the text should be a superscript.
+ * @param {boolean} [text.subScript] - Flag indicating if the text should be a subscript.
+ * @param {boolean} [text.strike] - Flag indicating if the text should be struck through.
+ * @param {string} [text.highlight] - The docx highlight color name, e.g. 'yellow'.
+ * @param {string} [text.color] - The text color as a hex string without '#'.
+ * @param {string} [text.font] - The font family name.
+ * @param {boolean} [text.smallCaps] - Flag indicating if the text should be in small caps.
+ * @param {Object} [extraDataAttributes={}] - Additional data attributes to add to the component.
+ * @param {string} [className=''] - Additional tailwindCSS class names to apply.
+ * @returns {JSX.Element} - A TextRun component with applied styles and content.
+ */
+export function createTextRun(text, extraDataAttributes = {}, className = '') {
+    if (text.type === 'link') {
+        return (
+            <a href={text.href} className='underline text-blue-700' {...getHyperlinkAttributes(text.href)}>
+                {text.children.map((child, index) => (
+                    <Fragment key={index}>{createTextRun(child, { ...extraDataAttributes, 'data-style': 'Hyperlink' }, className)}</Fragment>
+                ))}
+            </a>
+        );
+    }
+
+    const { content, italics, bold, underline, superScript, subScript, strike, highlight, color, font, smallCaps } = text;
+
+    const dataAttributes = {};
+    const style = {};
+
+    if (italics) {
+        dataAttributes['data-italics'] = true;
+    }
+
+    if (bold) {
+        dataAttributes['data-bold'] = true;
+    }
+
+    if (underline) {
+        dataAttributes['data-underline'] = true;
+    }
+
+    if (superScript) {
+        dataAttributes['data-superscript'] = true;
+    }
+
+    if (subScript) {
+        dataAttributes['data-subscript'] = true;
+    }
+
+    if (strike) {
+        dataAttributes['data-strike'] = true;
+    }
+
+    if (highlight) {
+        dataAttributes['data-highlight'] = highlight;
+        if (highlightColors[highlight]) style.backgroundColor = highlightColors[highlight];
+    }
+
+    if (color) {
+        dataAttributes['data-color'] = color;
+        style.color = `#${color}`;
+    }
+
+    if (font) {
+        dataAttributes['data-font'] = font;
+        style.fontFamily = font;
+    }
+
+    if (smallCaps) {
+        dataAttributes['data-smallcaps'] = true;
+        style.fontVariant = 'small-caps';
+    }
+
+    return (
+        <TextRun
+            className={twJoin(
+                italics && 'italic',
+                bold && 'font-bold',
+                underline && 'underline',
+                strike && 'line-through',
+                superScript && 'align-super text-[0.75em]',
+                subScript && 'align-sub text-[0.75em]',
+                className
+            )}
+            style={Object.keys(style).length ? style : undefined}
+            {...dataAttributes}
+            {...extraDataAttributes}>
+            {content}
+        </TextRun>
+    );
+}
@@ -0,0 +1,617 @@
+import {
+    Document,
+    Paragraph,
+    TextRun,
+    ImageRun,
+    ExternalHyperlink,
+    InternalHyperlink,
+    PositionalTab,
+    Tab,
+    Table,
+    TableRow,
+    TableCell,
+    TableBorders,
+    TableOfContents,
+    HeadingLevel,
+    TabStopType,
+    Header,
+    Footer,
+    PageNumber,
+    PageBreak,
+    Bookmark,
+    SimpleField,
+    FootnoteReferenceRun,
+    sectionPageSizeDefaults,
+    sectionMarginDefaults
+} from 'docx';
+import { createListNumbering, createHeadingNumbering, HEADING_NUMBERING_REFERENCE } from './numbering';
+import { fetchImageData } from './image';
+
+/**
+ * Converts a numeric attribute value to a number, keeping undefined values undefined.
+ *
+ * @param {string|number} [value] - The value to convert.
+ * @returns {number|undefined} - The number, or undefined if no value is given.
+ */
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Converts a boolean attribute value, which is the string 'true' when it comes from `htmlToDocx`, to a boolean.
+ *
+ * @param {string|boolean} [value] - The value to convert.
+ * @returns {boolean} - Whether the value is true.
+ */
+const toBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Converts the numeric values of an object, such as margins keyed by side, to numbers.
+ *
+ * @param {Object} values - The values to convert.
+ * @returns {Object} - The converted values.
+ */
+const toNumbers = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, toNumber(value)]));
+
+/**
+ * The content of a section with its own page setup, kept apart from the other blocks until the document sections are assembled.
+ */
+class SectionBlock {
+    constructor(node, children) {
+        this.node = node;
+        this.children = children;
+    }
+}
+
+/**
+ * Replaces section blocks by their content, where a section cannot start (e.g. in a nested section or a table cell).
+ *
+ * @param {Object[]} blocks - The converted blocks.
+ * @returns {Object[]} - The blocks without section blocks.
+ */
+const flattenSections = (blocks) => blocks.flatMap((block) => (block instanceof SectionBlock ? flattenSections(block.children) : block));
+
+/**
+ * Converts the `borders` of a tree node into docx border options.
+ *
+ * @param {Object} borders - The borders, keyed by side, each with style, size and color.
+ * @returns {Object} - The docx border options.
+ */
+function convertBorders(borders) {
+    const result = {};
+
+    Object.entries(borders).forEach(([side, { style = 'single', size, color }]) => {
+        result[side] = { style, size: toNumber(size), color };
+    });
+
+    return result;
+}
+
+/**
+ * Converts a `width` of a tree node into a docx width option.
+ *
+ * @param {Object} [width] - The width with size and type.
+ * @returns {Object|undefined} - The docx width option.
+ */
+function convertWidth(width) {
+    if (!width) return undefined;
+
+    return { size: toNumber(width.size), type: width.type };
+}
+
+/**
+ * Converts an image node into an ImageRun, falling back to its alt text when the image cannot be loaded.
+ *
+ * @param {Object} node - The image node.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<ImageRun|TextRun>} - The image run.
+ */
+async function convertImage(node, context) {
+    const { src, transformation = {}, floating, altText } = node;
+
+    try {
+        const data = await context.getImage(src);
+
+        const options = {
+            data,
+            transformation: {
+                width: toNumber(transformation.width) || 400,
+                height: toNumber(transformation.height) || 300
+            }
+        };
+
+        if (altText) options.altText = altText;
+
+        if (floating) {
+            options.floating = {};
+
+            ['horizontalPosition', 'verticalPosition'].forEach((key) => {
+                if (!floating[key]) return;
+
+                const { offset, ...position } = floating[key];
+
+                options.floating[key] = offset === undefined ? position : { ...position, offset: toNumber(offset) };
+            });
+        }
+
+        return new ImageRun(options);
+    } catch (e) {
+        console.warn('Unable to load image:', src, e);
+
+        return new TextRun(altText?.description || altText?.title || '');
+    }
+}
+
+/**
+ * Gets the text of a tree node and its descendants.
+ *
+ * @param {Object} node - The tree node.
+ * @returns {string} - The text content.
+ */
+const getTextContent = (node) => (node.type === 'text' ? node.content || '' : (node.children || []).map(getTextContent).join(''));
+
+/**
+ * Converts the inline children of a paragraph (text, images and hyperlinks) into docx paragraph children.
+ *
+ * @param {Object[]} nodes - The inline nodes.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Object[]>} - The docx paragraph children.
+ */
+async function convertRuns(nodes = [], context) {
+    const runs = await Promise.all(
+        nodes.map(async (node) => {
+            switch (node.type) {
+                case 'text': {
+                    const { content = '', bold, italics, underline, superScript, subScript, strike, smallCaps, highlight, color, font, style, positionalTab } = node;
+
+                    return new TextRun({
+                        children: positionalTab ? [new PositionalTab(positionalTab), content] : [content],
+                        bold: toBoolean(bold) || undefined,
+                        italics: toBoolean(italics) || undefined,
+                        underline,
+                        superScript: toBoolean(superScript) || undefined,
+                        subScript: toBoolean(subScript) || undefined,
+                        strike: toBoolean(strike) || undefined,
+                        smallCaps: toBoolean(smallCaps) || undefined,
+                        highlight,
+                        color,
+                        font,
+                        style
+                    });
+                }
+                case 'image':
+                    return convertImage(node, context);
+                case 'tab':
+                    return new TextRun({ children: [new Tab()] });
+                case 'footnote':
+                    // footnotes are numbered in the order of the tree, see buildDocxDocument
+                    return new FootnoteReferenceRun(context.footnotes.indexOf(node) + 1);
+                case 'pageNumber':
+                    return new TextRun({ children: [toBoolean(node.total) ? PageNumber.TOTAL_PAGES : PageNumber.CURRENT] });
+                case 'externalHyperlink':
+                    return new ExternalHyperlink({ link: node.link, children: await convertRuns(node.children, context) });
+                case 'internalHyperlink':
+                    return new InternalHyperlink({ anchor: node.anchor, children: await convertRuns(node.children, context) });
+                case 'bookmark':
+                    return new Bookmark({ id: node.name, children: await convertRuns(node.children, context) });
+                case 'sequence':
+                    // the number computed in the preview is kept as the field result, so it shows before fields are updated
+                    return new SimpleField(`SEQ ${node.identifier} \\* ARABIC`, getTextContent(node));
+                case 'crossReference':
+                    return new SimpleField(`REF ${node.bookmark} \\h`, getTextContent(node));
+                default:
+                    // unknown inline wrappers contribute their children
+                    if (node.children) return convertRuns(node.children, context);
+
+                    console.warn(`Unsupported inline node type: ${node.type}`);
+                    return [];
+            }
+        })
+    );
+
+    return runs.flat();
+}
+
+/**
+ * Converts a paragraph node into a docx Paragraph.
+ *
+ * @param {Object} node - The paragraph node.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Paragraph>} - The docx paragraph.
+ */
+async function convertParagraph(node, context) {
+    // other properties, e.g. alignment, indent or keepNext, are docx paragraph options already
+    const { type, children, heading, style, bullet, numbering, spacing, borders, ...rest } = node;
+
+    const options = { ...rest, children: await convertRuns(children, context) };
+
+    if (heading) options.heading = HeadingLevel[heading] || heading;
+    if (style) options.style = style;
+    if (bullet) options.bullet = { level: toNumber(bullet.level) || 0 };
+    if (numbering) {
+        options.numbering = {
+            reference: numbering.reference,
+            level: toNumber(numbering.level) || 0,
+            instance: context.getNumberingInstance(numbering.instance)
+        };
+    }
+    if (spacing) options.spacing = { ...spacing, before: toNumber(spacing.before), after: toNumber(spacing.after), line: toNumber(spacing.line) };
+    if (borders) options.border = convertBorders(borders);
+
+    return new Paragraph(options);
+}
+
+/**
+ * Converts a table node into a docx Table.
+ *
+ * @param {Object} node - The table node.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Table>} - The docx table.
+ */
+async function convertTable(node, context) {
+    const rows = await Promise.all(
+        (node.rows || []).map(async (row) => {
+            const cells = await Promise.all(
+                (row.children || []).map(async (cell) => {
+                    const children = flattenSections(await convertBlocks(cell.children, context));
+
+                    return new TableCell({
+                        // a docx table cell must contain at least one paragraph
+                        children: children.length ? children : [new Paragraph({})],
+                        width: convertWidth(cell.width),
+                        margins: cell.margins && toNumbers(cell.margins),
+                        borders: cell.borders && convertBorders(cell.borders),
+                        shading: cell.shading,
+                        columnSpan: cell.columnSpan,
+                        rowSpan: cell.rowSpan,
+                        verticalAlign: cell.verticalAlign
+                    });
+                })
+            );
+
+            return new TableRow({ children: cells, tableHeader: row.tableHeader });
+        })
+    );
+
+    return new Table({
+        rows,
+        columnWidths: node.columnWidths,
+        width: convertWidth(node.width),
+        // without borders the table has none, as in the preview
+        borders: { ...TableBorders.NONE, ...(node.borders && convertBorders(node.borders)) }
+    });
+}
+
+/**
+ * Converts block level nodes (paragraphs and tables) into docx section children.
+ *
+ * @param {Object[]} nodes - The block nodes.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Object[]>} - The docx section children.
+ */
+async function convertBlocks(nodes = [], context) {
+    const blocks = await Promise.all(
+        nodes.map(async (node) => {
+            switch (node.type) {
+                case 'paragraph':
+                    return convertParagraph(node, context);
+                case 'table':
+                    return convertTable(node, context);
+                case 'documentSection':
+                    return new SectionBlock(node, await convertBlocks(node.children, context));
+                case 'pageBreak':
+                    return new Paragraph({ children: [new PageBreak()] });
+                case 'header':
+                case 'footer':
+                    // headers and footers are collected into the section properties
+                    return [];
+                case 'tableOfContents':
+                    return new TableOfContents('Table of Contents', {
+                        headingStyleRange: node.headingStyleRange || '1-3',
+                        hyperlink: toBoolean(node.hyperlink)
+                    });
+                case 'text':
+                case 'image':
+                case 'tab':
+                case 'footnote':
+                case 'pageNumber':
+                case 'externalHyperlink':
+                case 'internalHyperlink':
+                case 'bookmark':
+                case 'sequence':
+                case 'crossReference':
+                    // inline content outside of a paragraph gets a paragraph of its own
+                    return new Paragraph({ children: await convertRuns([node], context) });
+                default:
+                    // unknown wrappers (e.g. a div) contribute their children
+                    if (node.children) return convertBlocks(node.children, context);
+
+                    console.warn(`Unsupported block node type: ${node.type}`);
+                    return [];
+            }
+        })
+    );
+
+    return blocks.flat();
+}
+
+/**
+ * Collects the numbering references used by the paragraphs of a tree.
+ *
+ * @param {Object[]} nodes - The nodes of the tree.
+ * @param {string[]} [references=[]] - The references collected so far.
+ * @returns {string[]} - The numbering references.
+ */
+function collectNumberingReferences(nodes = [], references = []) {
+    nodes.forEach((node) => {
+        if (node.numbering?.reference) references.push(node.numbering.reference);
+
+        collectNumberingReferences(node.children, references);
+        collectNumberingReferences(node.rows, references);
+    });
+
+    return references;
+}
+
+/**
+ * Finds the nodes of a given type in a tree, without looking inside the matching nodes.
+ *
+ * @param {Object[]} nodes - The nodes of the tree.
+ * @param {string} type - The node type.
+ * @param {string[]} [exclude=[]] - The types of the nodes not to look inside.
+ * @param {Object[]} [found=[]] - The nodes found so far.
+ * @returns {Object[]} - The nodes of the type, in document order.
+ */
+function findNodes(nodes = [], type, exclude = [], found = []) {
+    nodes.forEach((node) => {
+        if (node.type === type) {
+            found.push(node);
+        } else if (!exclude.includes(node.type)) {
+            findNodes(node.children, type, exclude, found);
+            findNodes(node.rows, type, exclude, found);
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Converts the header or footer nodes of a tree into docx section headers or footers, keyed by variant.
+ *
+ * @param {Object[]} nodes - The header or footer nodes.
+ * @param {Function} Container - The docx Header or Footer class.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Object|undefined>} - The headers or footers, e.g. { default, first, even }, or undefined if there are none.
+ */
+async function convertHeadersOrFooters(nodes, Container, context) {
+    if (!nodes.length) return undefined;
+
+    const result = {};
+
+    for (const node of nodes) {
+        // a later header or footer of the same variant replaces the earlier one
+        result[node.variant || 'default'] = new Container({ children: flattenSections(await convertBlocks(node.children, context)) });
+    }
+
+    return result;
+}
+
+/**
+ * Merges the page setup of a section node into the default docx section properties.
+ *
+ * @param {Object} node - The section node.
+ * @param {Object} base - The default section properties.
+ * @returns {Object} - The docx section properties.
+ */
+function convertSectionProperties(node, base) {
+    const { page = {}, column, sectionType } = node;
+    const { size, margin } = page;
+
+    return {
+        ...base,
+        page: {
+            ...base.page,
+            size: size ? { width: toNumber(size.width), height: toNumber(size.height), orientation: size.orientation } : base.page?.size,
+            margin: margin ? { ...base.page?.margin, ...toNumbers(margin) } : base.page?.margin
+        },
+        column: column ? toNumbers(column) : base.column,
+        type: sectionType || base.type
+    };
+}
+
+/**
+ * Converts a tree into docx sections. Content outside of the section nodes uses the default section properties, and
+ * headers and footers apply to the section they are in, or from the first section on when outside of any section.
+ *
+ * @param {Object[]} tree - The object tree.
+ * @param {Object} properties - The default section properties.
+ * @param {Object} context - The conversion context.
+ * @returns {Promise<Object[]>} - The docx section options.
+ */
+async function convertSections(tree, properties, context) {
+    const blocks = await convertBlocks(tree, context);
+
+    const sections = [];
+    let pending = [];
+
+    const flush = () => {
+        sections.push({ node: null, children: pending });
+        pending = [];
+    };
+
+    blocks.forEach((block) => {
+        if (block instanceof SectionBlock) {
+            if (pending.length) flush();
+            sections.push({ node: block.node, children: flattenSections(block.children) });
+        } else {
+            pending.push(block);
+        }
+    });
+
+    if (pending.length || !sections.length) flush();
+
+    return Promise.all(
+        sections.map(async ({ node, children }, index) => {
+            let headerNodes = node ? findNodes(node.children, 'header') : [];
+            let footerNodes = node ? findNodes(node.children, 'footer') : [];
+
+            // later sections inherit the headers and footers of the first one
+            if (index === 0) {
+                headerNodes = [...findNodes(tree, 'header', ['documentSection']), ...headerNodes];
+                footerNodes = [...findNodes(tree, 'footer', ['documentSection']), ...footerNodes];
+            }
+
+            const sectionProperties = node ? convertSectionProperties(node, properties) : properties;
+            const hasFirstPage = [...headerNodes, ...footerNodes].some(({ variant }) => variant === 'first');
+
+            return {
+                // first page headers and footers only apply when the section has a distinct title page
+                properties: hasFirstPage ? { titlePage: true, ...sectionProperties } : sectionProperties,
+                headers: await convertHeadersOrFooters(headerNodes, Header, context),
+                footers: await convertHeadersOrFooters(footerNodes, Footer, context),
+                children
+            };
+        })
+    );
+}
+
+/**
+ * Computes the width of the text of a section, between the left and right page margins.
+ *
+ * @param {Object} properties - The docx section properties.
+ * @returns {number} - The text width in twips.
+ */
+function getTextWidth(properties) {
+    const { size, margin } = properties.page || {};
+    const { width = sectionPageSizeDefaults.WIDTH, height = sectionPageSizeDefaults.HEIGHT, orientation } = size || {};
+    const { left = sectionMarginDefaults.LEFT, right = sectionMarginDefaults.RIGHT } = margin || {};
+
+    // docx swaps the page width and height of landscape pages
+    return (orientation === 'landscape' ? height : width) - toNumber(left) - toNumber(right);
+}
+
+/**
+ * Creates the paragraph styles of the table of contents: the title, and the entries with a page number right aligned
+ * after a leader.
+ *
+ * @param {string} leader - The leader type, e.g. 'dot'.
+ * @param {number} textWidth - The text width of the section of the table of contents in twips, where the page numbers end.
+ * @returns {Object[]} - The TOCHeading style and the TOC1 to TOC9 paragraph styles.
+ */
+function createTableOfContentsStyles(leader, textWidth) {
+    const entryStyles = Array.from({ length: 9 }, (_, index) => ({
+        id: `TOC${index + 1}`,
+        name: `toc ${index + 1}`,
+        basedOn: 'Normal',
+        next: 'Normal',
+        paragraph: {
+            indent: { left: 240 * index },
+            tabStops: [{ type: TabStopType.RIGHT, position: textWidth, leader }]
+        }
+    }));
+
+    return [
+        {
+            id: 'TOCHeading',
+            name: 'TOC Heading',
+            basedOn: 'Heading1',
+            next: 'Normal',
+            quickFormat: true,
+            // body text level, so the title is not an entry of the table of contents
+            paragraph: { outlineLevel: 9 }
+        },
+        ...entryStyles
+    ];
+}
+
+/**
+ * Creates the paragraph style of figure and table captions.
+ *
+ * @returns {Object} - The Caption paragraph style.
+ */
+function createCaptionStyle() {
+    return {
+        id: 'Caption',
+        name: 'caption',
+        basedOn: 'Normal',
+        next: 'Normal',
+        quickFormat: true,
+        run: { italics: true, size: 18 },
+        paragraph: { spacing: { before: 60, after: 200 } }
+    };
+}
+
+/**
+ * Builds a docx Document from the object tree produced by `htmlToDocx`, so a .docx file can be generated locally with `Packer`.
+ *
+ * @example
+ * const doc = await buildDocxDocument(htmlToDocx(html), { creator: 'Uniweb' });
+ * const buffer = await Packer.toBuffer(doc);
+ *
+ * @param {Object[]} tree - The object tree returned by `htmlToDocx`.
+ * @param {Object} [options={}] - The document options. Any option not listed below is passed to the docx Document (e.g. creator, title, styles, numbering).
+ * @param {Object} [options.properties={}] - The default docx section properties, which the page setup of a Section overrides.
+ * @param {Function} [options.getImage] - Returns the data (ArrayBuffer, Buffer or data URI) of an image from its src, or a promise for it. Images are fetched by default, reusing the content loaded by the preview.
+ * @returns {Promise<Document>} - The docx document.
+ */
+export async function buildDocxDocument(tree, options = {}) {
+    const { properties = {}, getImage = fetchImageData, numbering = {}, styles = {}, features = {}, ...documentOptions } = options;
+
+    const footnotes = findNodes(tree, 'footnote');
+    // the numbering instances of the lists, e.g. React ids, numbered in the order of the document
+    const numberingInstances = new Map();
+
+    const getNumberingInstance = (key) => {
+        if (key === undefined) return undefined;
+        if (!numberingInstances.has(key)) numberingInstances.set(key, numberingInstances.size + 1);
+
+        return numberingInstances.get(key);
+    };
+
+    const context = { getImage, footnotes, getNumberingInstance };
+
+    const sections = await convertSections(tree, properties, context);
+    const variants = [...findNodes(tree, 'header'), ...findNodes(tree, 'footer')].map(({ variant }) => variant);
+
+    // add the definitions of the ordered lists and numbered headings that are not defined by the caller
+    const config = numbering.config || [];
+    const definedReferences = config.map(({ reference }) => reference);
+    const missingReferences = collectNumberingReferences(tree).filter((reference) => !definedReferences.includes(reference));
+
+    const generatedNumbering = createListNumbering(missingReferences);
+    if (missingReferences.includes(HEADING_NUMBERING_REFERENCE)) generatedNumbering.push(createHeadingNumbering());
+
+    // a table of contents needs its entry styles, and its fields updated when the document is opened
+    const [tableOfContents] = findNodes(tree, 'tableOfContents');
+    const paragraphStyles = [...(styles.paragraphStyles || [])];
+
+    const definedStyles = paragraphStyles.map(({ id }) => id);
+
+    if (tableOfContents) {
+        const section = findNodes(tree, 'documentSection').find((node) => findNodes(node.children, 'tableOfContents').includes(tableOfContents));
+        const textWidth = getTextWidth(section ? convertSectionProperties(section, properties) : properties);
+
+        paragraphStyles.push(...createTableOfContentsStyles(tableOfContents.leader || 'dot', textWidth).filter(({ id }) => !definedStyles.includes(id)));
+    }
+
+    // numbered captions use the Caption style
+    if (findNodes(tree, 'sequence').length && !definedStyles.includes('Caption')) {
+        paragraphStyles.push(createCaptionStyle());
+    }
+
+    // the content of each footnote, keyed by its id
+    const footnoteOptions = {};
+
+    for (const [index, node] of footnotes.entries()) {
+        footnoteOptions[index + 1] = { children: [new Paragraph({ children: await convertRuns(node.children, context) })] };
+    }
+
+    return new Document({
+        ...documentOptions,
+        ...(footnotes.length ? { footnotes: footnoteOptions } : {}),
+        styles: { ...styles, paragraphStyles },
+        features: tableOfContents ? { updateFields: true, ...features } : features,
+        numbering: { ...numbering, config: [...config, ...generatedNumbering] },
+        // even page headers and footers only apply when the document distinguishes odd and even pages
+        evenAndOddHeaderAndFooters: variants.includes('even') || documentOptions.evenAndOddHeaderAndFooters,
+        sections
+    });
+}
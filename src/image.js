@@ -0,0 +1,247 @@
+// image formats the docx library can embed as they are
+const docxFormats = ['png', 'jpg', 'gif', 'bmp'];
+
+const mimeTypes = {
+    webp: 'image/webp',
+    svg: 'image/svg+xml'
+};
+
+const matches = (bytes, signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+const readUint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+const readUint16LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const readUint24LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+const readInt32LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+
+const readUint32BE = (bytes, offset) => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+/**
+ * Detects the format of an image from its first bytes (magic numbers).
+ *
+ * @param {Uint8Array} bytes - The image data.
+ * @returns {string|null} - The format: 'png', 'jpg', 'gif', 'bmp', 'webp' or 'svg', or null if it is not recognized.
+ */
+export function detectImageFormat(bytes) {
+    if (matches(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (matches(bytes, [0xff, 0xd8, 0xff])) return 'jpg';
+    if (ascii(bytes, 0, 4) === 'GIF8') return 'gif';
+    if (ascii(bytes, 0, 2) === 'BM') return 'bmp';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'webp';
+
+    // the decoder drops a leading byte order mark
+    const text = new TextDecoder().decode(bytes.slice(0, 1024)).trim();
+    if (/^(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'svg';
+
+    return null;
+}
+
+/**
+ * Reads the intrinsic dimensions of an image from its headers.
+ *
+ * @param {Uint8Array} bytes - The image data.
+ * @param {string} format - The image format, as returned by `detectImageFormat`.
+ * @returns {Object|null} - The dimensions in pixels as { width, height }, or null if they cannot be read.
+ */
+export function getImageSize(bytes, format) {
+    switch (format) {
+        case 'png':
+            return { width: readUint32BE(bytes, 16), height: readUint32BE(bytes, 20) };
+        case 'gif':
+            return { width: readUint16LE(bytes, 6), height: readUint16LE(bytes, 8) };
+        case 'bmp':
+            // the height is negative for top-down bitmaps
+            return { width: Math.abs(readInt32LE(bytes, 18)), height: Math.abs(readInt32LE(bytes, 22)) };
+        case 'jpg': {
+            let offset = 2;
+
+            while (offset + 9 < bytes.length) {
+                if (bytes[offset] !== 0xff) return null;
+
+                const marker = bytes[offset + 1];
+
+                // the start of frame markers, without DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    return { width: readUint16BE(bytes, offset + 7), height: readUint16BE(bytes, offset + 5) };
+                }
+
+                offset += 2 + readUint16BE(bytes, offset + 2);
+            }
+
+            return null;
+        }
+        case 'webp': {
+            const chunk = ascii(bytes, 12, 16);
+
+            if (chunk === 'VP8 ') {
+                return { width: readUint16LE(bytes, 26) & 0x3fff, height: readUint16LE(bytes, 28) & 0x3fff };
+            }
+            if (chunk === 'VP8L') {
+                const [b0, b1, b2, b3] = bytes.slice(21, 25);
+                return { width: 1 + (((b1 & 0x3f) << 8) | b0), height: 1 + (((b3 & 0xf) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)) };
+            }
+            if (chunk === 'VP8X') {
+                return { width: 1 + readUint24LE(bytes, 24), height: 1 + readUint24LE(bytes, 27) };
+            }
+
+            return null;
+        }
+        case 'svg': {
+            const svg = new TextDecoder().decode(bytes).match(/<svg[^>]*>/i)?.[0] || '';
+            const attribute = (name) => svg.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+
+            const width = parseFloat(attribute('width'));
+            const height = parseFloat(attribute('height'));
+
+            if (width && height && !/%/.test(attribute('width') + attribute('height'))) return { width, height };
+
+            const viewBox = attribute('viewBox')?.split(/[\s,]+/).map(Number);
+
+            if (viewBox?.length === 4 && viewBox[2] && viewBox[3]) return { width: viewBox[2], height: viewBox[3] };
+
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Scales dimensions down to fit a maximum width and height, keeping the aspect ratio.
+ *
+ * @param {Object} size - The dimensions as { width, height }.
+ * @param {number} maxWidth - The maximum width.
+ * @param {number} maxHeight - The maximum height.
+ * @returns {Object} - The fitted dimensions, rounded to whole pixels.
+ */
+export function fitImageSize({ width, height }, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Loads an image element from a URL.
+ *
+ * @param {string} src - The URL of the image.
+ * @returns {Promise<HTMLImageElement>} - The loaded image element.
+ */
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const element = new window.Image();
+
+        element.onload = () => resolve(element);
+        element.onerror = () => reject(new Error(`Failed to load image ${src}`));
+        element.src = src;
+    });
+}
+
+/**
+ * Converts an image the docx library cannot embed (WebP, SVG) to a PNG data URL.
+ *
+ * @param {Uint8Array} bytes - The image data.
+ * @param {string} format - The image format.
+ * @param {Object|null} size - The intrinsic dimensions of the image, if known.
+ * @returns {Promise<Object>} - The converted image as { src, format, width, height }.
+ */
+async function convertToPng(bytes, format, size) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: mimeTypes[format] }));
+
+    try {
+        const element = await loadImageElement(url);
+
+        // an SVG without width, height or viewBox has no intrinsic size, browsers use 300x150 for it
+        const width = size?.width || element.naturalWidth || 300;
+        const height = size?.height || element.naturalHeight || 150;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(element, 0, 0, width, height);
+
+        return { src: canvas.toDataURL('image/png'), format: 'png', width, height };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Guesses the format of an image from the extension of its file name or URL.
+ *
+ * @param {string} fileName - The file name or URL of the image.
+ * @returns {string} - The lowercase extension, with 'jpeg' as 'jpg'.
+ */
+function getFormatFromFileName(fileName) {
+    const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+    return extension === 'jpeg' ? 'jpg' : extension;
+}
+
+// the requests for the content of images, shared by the preview and the docx export so each image is fetched once
+const imageRequests = new Map();
+
+/**
+ * Fetches the content of an image, reusing an earlier request for the same URL.
+ *
+ * @param {string} src - The URL of the image.
+ * @returns {Promise<ArrayBuffer>} - The image data.
+ */
+export function fetchImageData(src) {
+    if (!imageRequests.has(src)) {
+        const request = fetch(src).then((response) => {
+            if (!response.ok) throw new Error(`Failed to fetch image ${src}: ${response.status}`);
+
+            return response.arrayBuffer();
+        });
+
+        // a failed request is not kept, so the image is fetched again next time
+        request.catch(() => imageRequests.delete(src));
+        imageRequests.set(src, request);
+    }
+
+    return imageRequests.get(src);
+}
+
+/**
+ * Loads an image and finds its format and intrinsic dimensions from its content. Images in a format the docx library
+ * cannot embed are converted to PNG. When the content cannot be read (e.g. a cross-origin image without CORS), the
+ * format comes from the file name and the dimensions from the loaded image element.
+ *
+ * @param {string} src - The URL of the image.
+ * @param {string} [fileName] - The file name of the image, e.g. from the asset info, used when the URL has no extension.
+ * @returns {Promise<Object|null>} - The image as { src, format, width, height }, or null if its format is not supported.
+ */
+export async function loadImage(src, fileName = src) {
+    let bytes = null;
+
+    try {
+        bytes = new Uint8Array(await fetchImageData(src));
+    } catch (e) {
+        console.warn('Unable to read the image content, using its file name instead:', src);
+    }
+
+    let format;
+
+    if (bytes) {
+        format = detectImageFormat(bytes);
+
+        if (!format) return null;
+
+        const size = getImageSize(bytes, format);
+
+        if (!docxFormats.includes(format)) return convertToPng(bytes, format, size);
+        if (size) return { src, format, ...size };
+    } else {
+        format = getFormatFromFileName(fileName);
+
+        if (!docxFormats.includes(format)) return null;
+    }
+
+    const element = await loadImageElement(src);
+
+    return { src, format, width: element.naturalWidth, height: element.naturalHeight };
+}
@@ -1,12 +1,24 @@
-import { parseBlockContent, parseStyledString, mergeListParagraphs, htmlToDocx, makeCurrency, makeParentheses, makeRange, join } from './utils';
-import { H1, H2, H3, H4 } from './components/Headings';
+import { parseBlockContent, parseStyledString, mergeListParagraphs, htmlToDocx, makeCurrency, parseLocaleNumber, makeParentheses, makeRange, formatDate, makeDateRange, join } from './utils';
+import { buildDocxDocument } from './document';
+import { validateDocxTree } from './validate';
+import { formatCitation } from './citation';
+import { defaultTheme, createTheme, createDocxStyles } from './theme';
+import { createListNumbering, createHeadingNumbering, getListNumberingReference, formatListNumber } from './numbering';
+import { Heading, H1, H2, H3, H4, H5, H6 } from './components/Headings';
 import Link, { Links } from './components/Link';
 import Image, { Images } from './components/Image';
+import Figure, { Caption, CrossReference } from './components/Figure';
+import Footnote, { Footnotes, Endnote, Endnotes } from './components/Footnote';
 import List, { Lists } from './components/List';
 import Paragraph, { Paragraphs } from './components/Paragraph';
+import { PageHeader, PageFooter, PageNumber, PageBreak } from './components/Page';
 import Section from './components/Section';
+import Table, { Tables, TableRow, TableCell } from './components/Table';
+import TableOfContents from './components/TableOfContents';
 import TextRun from './components/TextRun';
-import SourceTooltip from './components/SourceTooltip';
+import SourceTooltip, { getDataSourceInfo } from './components/SourceTooltip';
+import DataSourcesPanel from './components/DataSourcesPanel';
+import ReportTheme, { useReportTheme } from './components/ReportTheme';
 
 import { convertMillimetersToTwip } from 'docx';
 import { twJoin, twMerge } from 'tailwind-merge';
@@ -16,25 +28,61 @@ export {
     parseStyledString,
     mergeListParagraphs,
     htmlToDocx,
+    validateDocxTree,
+    buildDocxDocument,
+    formatCitation,
+    defaultTheme,
+    createTheme,
+    createDocxStyles,
+    createListNumbering,
+    createHeadingNumbering,
+    getListNumberingReference,
+    formatListNumber,
     makeCurrency,
+    parseLocaleNumber,
     makeParentheses,
     makeRange,
+    formatDate,
+    makeDateRange,
     join,
+    Heading,
     H1,
     H2,
     H3,
     H4,
+    H5,
+    H6,
     Link,
     Links,
     Image,
     Images,
+    Figure,
+    Caption,
+    CrossReference,
+    Footnote,
+    Footnotes,
+    Endnote,
+    Endnotes,
     List,
     Lists,
     Paragraph,
     Paragraphs,
+    PageHeader,
+    PageFooter,
+    PageNumber,
+    PageBreak,
     Section,
+    Table,
+    Tables,
+    TableRow,
+    TableCell,
+    TableOfContents,
     TextRun,
     SourceTooltip,
+    getDataSourceInfo,
+    DataSourcesPanel,
+    ReportTheme,
+    useReportTheme,
     twJoin,
     twMerge,
     convertMillimetersToTwip
@@ -0,0 +1,233 @@
+import { TabStopPosition } from 'docx';
+
+const borderSides = ['top', 'bottom', 'left', 'right'];
+
+const borderStyles = {
+    single: 'solid',
+    thick: 'solid',
+    dashed: 'dashed',
+    dotted: 'dotted',
+    double: 'double',
+    none: 'none',
+    nil: 'none'
+};
+
+// the docx alignment of each paragraph alignment, which uses the CSS names
+const alignments = {
+    left: 'left',
+    center: 'center',
+    right: 'right',
+    justify: 'both'
+};
+
+// the preview border style of each tab leader
+const leaderStyles = {
+    dot: 'dotted',
+    middleDot: 'dotted',
+    hyphen: 'dashed',
+    underscore: 'solid'
+};
+
+const columnAlignments = ['left', 'center', 'right', 'decimal'];
+
+// the unknown alignments already warned about, as the layout is computed on every render
+const alignmentWarnings = new Set();
+
+/**
+ * Converts a borders definition into docx data attributes and the equivalent inline preview styles.
+ *
+ * @param {Object} [borders] - The borders, keyed by side (top, bottom, left, right).
+ * @param {string} [borders.top.style='single'] - The docx border style of a side.
+ * @param {number} [borders.top.size=4] - The border size in eighths of a point.
+ * @param {string} [borders.top.color='000000'] - The border color as a hex string without '#'.
+ * @returns {Object} - An object with `dataAttributes` and `style` entries.
+ */
+export function getBorderProps(borders) {
+    const dataAttributes = {};
+    const style = {};
+
+    if (!borders) return { dataAttributes, style };
+
+    borderSides.forEach((side) => {
+        if (!borders[side]) return;
+
+        const { style: borderStyle = 'single', size = 4, color = '000000' } = borders[side];
+
+        dataAttributes[`data-borders-${side}-style`] = borderStyle;
+        dataAttributes[`data-borders-${side}-size`] = size;
+        dataAttributes[`data-borders-${side}-color`] = color;
+
+        const cssSide = side.charAt(0).toUpperCase() + side.slice(1);
+        style[`border${cssSide}`] = `${size / 8}pt ${borderStyles[borderStyle] || 'solid'} #${color}`;
+    });
+
+    return { dataAttributes, style };
+}
+
+/**
+ * Converts a shading definition into docx data attributes and the equivalent inline preview styles.
+ *
+ * @param {Object|string} [shading] - The shading, e.g. { fill: 'D9D9D9' }, or the fill color alone.
+ * @param {string} [shading.fill] - The background color as a hex string without '#'.
+ * @param {string} [shading.color] - The pattern color as a hex string without '#'.
+ * @param {string} [shading.type='clear'] - The docx shading pattern.
+ * @returns {Object} - An object with `dataAttributes` and `style` entries.
+ */
+export function getShadingProps(shading) {
+    const dataAttributes = {};
+    const style = {};
+
+    if (!shading) return { dataAttributes, style };
+
+    const { fill, color, type = 'clear' } = typeof shading === 'string' ? { fill: shading } : shading;
+
+    if (fill) {
+        dataAttributes['data-shading-fill'] = fill;
+        style.backgroundColor = `#${fill}`;
+    }
+    if (color) dataAttributes['data-shading-color'] = color;
+    dataAttributes['data-shading-type'] = type;
+
+    return { dataAttributes, style };
+}
+
+/**
+ * Converts the layout props of a paragraph into docx data attributes and the equivalent inline preview styles.
+ * Lengths are in twips (1/20 of a point), as in docx.
+ *
+ * @param {Object} layout - The layout props.
+ * @param {string} [layout.align] - The alignment: 'left', 'center', 'right' or 'justify'.
+ * @param {Object} [layout.indent] - The indentation as { left, right, hanging, firstLine }.
+ * @param {number} [layout.spacingBefore] - The space before the paragraph.
+ * @param {number} [layout.spacingAfter] - The space after the paragraph.
+ * @param {number} [layout.lineSpacing] - The line spacing as a multiple of single spacing, e.g. 1.5.
+ * @param {boolean} [layout.keepNext] - Whether the paragraph stays on the same page as the next one.
+ * @param {boolean} [layout.keepLines] - Whether the lines of the paragraph stay on the same page.
+ * @param {boolean} [layout.pageBreakBefore] - Whether the paragraph starts on a new page.
+ * @param {Object|string} [layout.shading] - The shading, or the fill color alone. See `getShadingProps`.
+ * @param {Object} [layout.border] - The borders keyed by side, or a single border for all sides, e.g. { size: 4, color: '999999' }.
+ * @returns {Object} - An object with `dataAttributes` and `style` entries.
+ */
+export function getParagraphLayoutProps({ align, indent, spacingBefore, spacingAfter, lineSpacing, keepNext, keepLines, pageBreakBefore, shading, border }) {
+    const dataAttributes = {};
+    const style = {};
+
+    if (align) {
+        if (alignments[align]) {
+            dataAttributes['data-alignment'] = alignments[align];
+            style.textAlign = align;
+        } else if (!alignmentWarnings.has(`paragraph:${align}`)) {
+            alignmentWarnings.add(`paragraph:${align}`);
+            console.warn(`Unknown paragraph alignment "${align}", expected one of ${Object.keys(alignments).join(', ')}.`);
+        }
+    }
+
+    if (indent) {
+        const { left, right, hanging, firstLine } = indent;
+
+        if (left !== undefined) {
+            dataAttributes['data-indent-left'] = left;
+            style.marginLeft = `${left / 20}pt`;
+        }
+        if (right !== undefined) {
+            dataAttributes['data-indent-right'] = right;
+            style.marginRight = `${right / 20}pt`;
+        }
+        // a hanging indent moves the first line back from the left indent
+        if (hanging !== undefined) {
+            dataAttributes['data-indent-hanging'] = hanging;
+            style.textIndent = `${-hanging / 20}pt`;
+        } else if (firstLine !== undefined) {
+            dataAttributes['data-indent-firstline'] = firstLine;
+            style.textIndent = `${firstLine / 20}pt`;
+        }
+    }
+
+    if (spacingBefore !== undefined) {
+        dataAttributes['data-spacing-before'] = spacingBefore;
+        style.marginTop = `${spacingBefore / 20}pt`;
+    }
+    if (spacingAfter !== undefined) {
+        dataAttributes['data-spacing-after'] = spacingAfter;
+        style.marginBottom = `${spacingAfter / 20}pt`;
+    }
+    if (lineSpacing) {
+        // docx line spacing is in 240ths of a line
+        dataAttributes['data-spacing-line'] = Math.round(lineSpacing * 240);
+        dataAttributes['data-spacing-linerule'] = 'auto';
+        style.lineHeight = lineSpacing;
+    }
+
+    if (keepNext) {
+        dataAttributes['data-keepnext'] = true;
+        style.breakAfter = 'avoid';
+    }
+    if (keepLines) {
+        dataAttributes['data-keeplines'] = true;
+        style.breakInside = 'avoid';
+    }
+    if (pageBreakBefore) {
+        dataAttributes['data-pagebreakbefore'] = true;
+        style.breakBefore = 'page';
+    }
+
+    const borders = border && !borderSides.some((side) => border[side]) ? Object.fromEntries(borderSides.map((side) => [side, border])) : border;
+
+    [getShadingProps(shading), getBorderProps(borders)].forEach((props) => {
+        Object.assign(dataAttributes, props.dataAttributes);
+        Object.assign(style, props.style);
+    });
+
+    return { dataAttributes, style };
+}
+
+/**
+ * Computes the positions of the columns of a tabbed paragraph and the tab stop that starts each column after the first.
+ * A left aligned column starts at its tab stop, a right or decimal aligned one ends at it and a centered one is
+ * centered on it. Lengths are in twips.
+ *
+ * @param {Object[]} columns - The columns, each with an optional `width`, `align` and `leader`.
+ * @param {number} [lineWidth=TabStopPosition.MAX] - The width of the line, shared by the columns without a width.
+ * @returns {Object[]} - The columns with their `width`, `start`, `end` and `tabStop` ({ type, position, leader }, null for the first column).
+ */
+export function getColumnLayout(columns, lineWidth = TabStopPosition.MAX) {
+    const fixedWidth = columns.reduce((total, { width }) => total + (width || 0), 0);
+    const autoColumns = columns.filter(({ width }) => !width).length;
+    const autoWidth = autoColumns ? Math.max(0, lineWidth - fixedWidth) / autoColumns : 0;
+
+    let start = 0;
+
+    return columns.map((column, index) => {
+        let { align = 'left', leader = 'none' } = column;
+
+        if (!columnAlignments.includes(align)) {
+            if (!alignmentWarnings.has(`column:${align}`)) {
+                alignmentWarnings.add(`column:${align}`);
+                console.warn(`Unknown column alignment "${align}", expected one of ${columnAlignments.join(', ')}.`);
+            }
+            align = 'left';
+        }
+
+        const width = column.width || autoWidth;
+        const end = start + width;
+        const position = align === 'left' ? start : align === 'center' ? (start + end) / 2 : end;
+
+        const layout = { ...column, align, leader, width, start, end, tabStop: index ? { type: align, position: Math.round(position), leader } : null };
+
+        start = end;
+
+        return layout;
+    });
+}
+
+/**
+ * Gets the preview style of the leader that fills the space before a tab stop.
+ *
+ * @param {string} leader - The docx leader type, e.g. 'dot'.
+ * @returns {Object|null} - The inline style of the leader element, or null if there is no leader.
+ */
+export function getLeaderStyle(leader) {
+    if (!leaderStyles[leader]) return null;
+
+    return { borderBottom: `1.5pt ${leaderStyles[leader]} currentColor` };
+}
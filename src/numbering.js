@@ -0,0 +1,128 @@
+import { AlignmentType, LevelFormat, LevelSuffix } from 'docx';
+
+const levelFormats = {
+    decimal: LevelFormat.DECIMAL,
+    'lower-alpha': LevelFormat.LOWER_LETTER,
+    'upper-alpha': LevelFormat.UPPER_LETTER,
+    'lower-roman': LevelFormat.LOWER_ROMAN,
+    'upper-roman': LevelFormat.UPPER_ROMAN
+};
+
+const romanNumerals = [
+    [1000, 'm'],
+    [900, 'cm'],
+    [500, 'd'],
+    [400, 'cd'],
+    [100, 'c'],
+    [90, 'xc'],
+    [50, 'l'],
+    [40, 'xl'],
+    [10, 'x'],
+    [9, 'ix'],
+    [5, 'v'],
+    [4, 'iv'],
+    [1, 'i']
+];
+
+// the numbering reference of outline numbered headings
+export const HEADING_NUMBERING_REFERENCE = 'heading-outline';
+
+/**
+ * Formats a list number the way Word displays it for a given numbering format.
+ *
+ * @param {number} number - The number to format.
+ * @param {string} [format='decimal'] - The format: 'decimal', 'lower-alpha', 'upper-alpha', 'lower-roman' or 'upper-roman'.
+ * @returns {string} - The formatted number, e.g. 'iv' for 4 in 'lower-roman'.
+ */
+export function formatListNumber(number, format = 'decimal') {
+    switch (format) {
+        case 'lower-alpha':
+        case 'upper-alpha': {
+            // Word repeats the letter past z: aa, bb, ...
+            const letter = String.fromCharCode(97 + ((number - 1) % 26)).repeat(Math.floor((number - 1) / 26) + 1);
+            return format === 'upper-alpha' ? letter.toUpperCase() : letter;
+        }
+        case 'lower-roman':
+        case 'upper-roman': {
+            let remaining = number;
+            let roman = '';
+
+            romanNumerals.forEach(([value, numeral]) => {
+                while (remaining >= value) {
+                    roman += numeral;
+                    remaining -= value;
+                }
+            });
+
+            return format === 'upper-roman' ? roman.toUpperCase() : roman;
+        }
+        default:
+            return `${number}`;
+    }
+}
+
+/**
+ * Gets the docx numbering reference used by ordered lists of a given format and start value.
+ *
+ * @param {string} [format='decimal'] - The numbering format.
+ * @param {number} [start=1] - The first number of the list.
+ * @returns {string} - The numbering reference, e.g. 'list-lower-roman-1'.
+ */
+export function getListNumberingReference(format = 'decimal', start = 1) {
+    return `list-${format}-${start}`;
+}
+
+/**
+ * Creates the docx numbering definitions matching the numbering references emitted by ordered lists.
+ * The result is meant for the `numbering.config` option of a docx Document.
+ *
+ * @param {string[]} references - The numbering references, as returned by `getListNumberingReference`. Other references are ignored.
+ * @returns {Object[]} - The numbering definitions.
+ */
+export function createListNumbering(references) {
+    return [...new Set(references)]
+        .map((reference) => {
+            const match = reference.match(/^list-([a-z-]+)-(\d+)$/);
+
+            if (!match || !levelFormats[match[1]]) return null;
+
+            const [, format, start] = match;
+
+            return {
+                reference,
+                levels: Array.from({ length: 9 }, (_, level) => ({
+                    level,
+                    format: levelFormats[format],
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    start: level === 0 ? Number(start) : 1,
+                    style: {
+                        paragraph: {
+                            indent: { left: 720 * (level + 1), hanging: 360 }
+                        }
+                    }
+                }))
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Creates the docx numbering definition of outline numbered headings ("1.", "1.2", "1.2.3"...).
+ * The result is meant for the `numbering.config` option of a docx Document.
+ *
+ * @returns {Object} - The numbering definition.
+ */
+export function createHeadingNumbering() {
+    return {
+        reference: HEADING_NUMBERING_REFERENCE,
+        levels: Array.from({ length: 6 }, (_, level) => ({
+            level,
+            format: LevelFormat.DECIMAL,
+            text: level === 0 ? '%1.' : Array.from({ length: level + 1 }, (_, index) => `%${index + 1}`).join('.'),
+            alignment: AlignmentType.START,
+            start: 1,
+            suffix: LevelSuffix.SPACE
+        }))
+    };
+}
@@ -0,0 +1,70 @@
+import { useSyncExternalStore } from 'react';
+
+// the entries when rendering on the server, kept constant as React expects
+const serverSnapshot = [];
+
+/**
+ * Sorts entries in the order of their elements in the page. Entries whose element is not attached yet come last.
+ *
+ * @param {Iterable<Object>} entries - The entries, each with an `element`.
+ * @returns {Object[]} - The sorted entries.
+ */
+export const sortByPosition = (entries) =>
+    [...entries].sort(({ element: a }, { element: b }) => {
+        if (a === b || (!a && !b)) return 0;
+        if (!a || !b) return a ? -1 : 1;
+
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_PRECEDING ? 1 : -1;
+    });
+
+/**
+ * Creates a registry of entries of the page, such as the data sources of the sections or the endnotes. A registry is
+ * kept at module level, so components rendered in separate React roots share it.
+ *
+ * @example
+ * const endnotes = createPageRegistry();
+ *
+ * useEffect(() => endnotes.register(id, { element: ref.current }), [id]);
+ * const notes = endnotes.useEntries();
+ *
+ * @returns {Object} - The registry, with `register(key, entry)`, which returns a function that unregisters the entry,
+ *     and the `useEntries()` hook, which returns the entries sorted by the position of their `element` in the page. The
+ *     sorted array is the same for all the components until the entries change.
+ */
+export function createPageRegistry() {
+    const entries = new Map();
+    const listeners = new Set();
+    // the sorted entries of each snapshot, shared by the components reading the registry
+    const sortedSnapshots = new WeakMap();
+    let snapshot = [];
+
+    const emitChange = () => {
+        snapshot = [...entries.values()];
+        listeners.forEach((listener) => listener());
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const register = (key, entry) => {
+        entries.set(key, entry);
+        emitChange();
+
+        return () => {
+            entries.delete(key);
+            emitChange();
+        };
+    };
+
+    const getSortedEntries = (snapshot) => {
+        if (!sortedSnapshots.has(snapshot)) sortedSnapshots.set(snapshot, sortByPosition(snapshot));
+
+        return sortedSnapshots.get(snapshot);
+    };
+
+    const useEntries = () => getSortedEntries(useSyncExternalStore(subscribe, () => snapshot, () => serverSnapshot));
+
+    return { register, useEntries };
+}
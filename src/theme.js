@@ -0,0 +1,184 @@
+import { twMerge } from 'tailwind-merge';
+
+// the elements a theme styles, with the docx default style of each one
+const docxDefaultStyles = {
+    body: 'document',
+    heading1: 'heading1',
+    heading2: 'heading2',
+    heading3: 'heading3',
+    heading4: 'heading4',
+    heading5: 'heading5',
+    heading6: 'heading6',
+    list: 'listParagraph',
+    hyperlink: 'hyperlink'
+};
+
+/**
+ * The default report theme, close to the Word defaults. Sizes and spacing are in points and colors are hex RGB values
+ * without '#', as in docx.
+ *
+ * The `font` applies to all elements and `headingFont`, if set, to headings. Each element takes `font`, `size`, `color`, `bold`, `italics`, `underline`, `spacingBefore`, `spacingAfter`,
+ * `lineHeight` (a multiple of the font size) and `className` (Tailwind classes added in the preview only).
+ */
+export const defaultTheme = {
+    font: 'Calibri',
+    body: { size: 11, color: '000000', spacingAfter: 8, lineHeight: 1.15 },
+    heading1: { size: 16, color: '2F5496', spacingBefore: 12, spacingAfter: 6 },
+    heading2: { size: 13, color: '2F5496', spacingBefore: 10, spacingAfter: 4 },
+    heading3: { size: 12, color: '1F3763', spacingBefore: 8, spacingAfter: 4 },
+    heading4: { size: 11, color: '2F5496', italics: true, spacingBefore: 6, spacingAfter: 2 },
+    heading5: { size: 11, color: '2F5496', spacingBefore: 6, spacingAfter: 2 },
+    heading6: { size: 11, color: '1F3763', spacingBefore: 6, spacingAfter: 2 },
+    list: { spacingAfter: 2 },
+    hyperlink: { color: '0563C1', underline: true },
+    caption: { size: 9, color: '595959', italics: true, spacingBefore: 3, spacingAfter: 10 }
+};
+
+/**
+ * Creates a theme from the default theme and overrides, merging the styles of each element.
+ *
+ * @example
+ * const theme = createTheme({ font: 'Georgia', heading1: { size: 20, color: '000000' } });
+ *
+ * @param {Object} [overrides={}] - The fonts and element styles to change.
+ * @returns {Object} - The complete theme.
+ */
+export function createTheme(overrides = {}) {
+    const theme = { ...defaultTheme, ...overrides };
+
+    Object.entries(defaultTheme).forEach(([key, value]) => {
+        if (typeof value === 'object') theme[key] = { ...value, ...overrides[key] };
+    });
+
+    return theme;
+}
+
+/**
+ * Gets the docx font of an element, which headings take from `headingFont`.
+ *
+ * @param {Object} theme - The theme.
+ * @param {string} element - The element name, e.g. 'heading1'.
+ * @returns {string|undefined} - The font name.
+ */
+function getFont(theme, element) {
+    const style = theme[element] || {};
+
+    if (style.font) return style.font;
+    if (element.startsWith('heading') && theme.headingFont) return theme.headingFont;
+    // the other elements inherit the document default
+    return element === 'body' ? theme.font : undefined;
+}
+
+/**
+ * Gets the inline preview style of an element of a theme.
+ *
+ * @param {Object|null} theme - The theme, or null outside a `ReportTheme`.
+ * @param {string} element - The element name, e.g. 'body', 'heading2' or 'caption'.
+ * @returns {Object|undefined} - The React style object, or undefined without a theme.
+ */
+export function getPreviewStyle(theme, element) {
+    if (!theme?.[element]) return undefined;
+
+    const { size, color, bold, italics, underline, spacingBefore, spacingAfter, lineHeight } = theme[element];
+    // preview elements do not inherit the body font, unlike docx styles which inherit the document default
+    const font = getFont(theme, element) || theme.font;
+
+    const style = {};
+
+    if (font) style.fontFamily = font;
+    if (size) style.fontSize = `${size}pt`;
+    if (color) style.color = `#${color}`;
+    if (bold !== undefined) style.fontWeight = bold ? 'bold' : 'normal';
+    if (italics !== undefined) style.fontStyle = italics ? 'italic' : 'normal';
+    if (underline !== undefined) style.textDecoration = underline ? 'underline' : 'none';
+    if (spacingBefore !== undefined) style.marginTop = `${spacingBefore}pt`;
+    if (spacingAfter !== undefined) style.marginBottom = `${spacingAfter}pt`;
+    if (lineHeight) style.lineHeight = lineHeight;
+
+    return style;
+}
+
+/**
+ * Gets the preview `className` and `style` props of an element. The theme takes precedence over the default classes of
+ * the component, and the props of the component over the theme.
+ *
+ * @param {Object|null} theme - The theme, or null outside a `ReportTheme`.
+ * @param {string} element - The element name.
+ * @param {Object} [props={}] - The `className` and `style` props of the component.
+ * @param {string} [defaultClassName] - The default classes of the component.
+ * @returns {Object} - The merged `className` and `style` props, undefined when empty.
+ */
+export function getPreviewProps(theme, element, { className, style } = {}, defaultClassName) {
+    const themeStyle = getPreviewStyle(theme, element);
+
+    return {
+        className: twMerge(defaultClassName, theme?.[element]?.className, className) || undefined,
+        style: themeStyle ? { ...themeStyle, ...style } : style
+    };
+}
+
+/**
+ * Converts the style of an element to docx run and paragraph options, in half points and twips.
+ *
+ * @param {Object} theme - The theme.
+ * @param {string} element - The element name.
+ * @returns {Object} - The docx style options as { run, paragraph }.
+ */
+function createStyleOptions(theme, element) {
+    const { size, color, bold, italics, underline, spacingBefore, spacingAfter, lineHeight } = theme[element] || {};
+    const font = getFont(theme, element);
+
+    const run = {};
+
+    if (font) run.font = font;
+    if (size) run.size = Math.round(size * 2);
+    if (color) run.color = color;
+    if (bold !== undefined) run.bold = bold;
+    if (italics !== undefined) run.italics = italics;
+    if (underline) run.underline = {};
+
+    const spacing = {};
+
+    if (spacingBefore !== undefined) spacing.before = Math.round(spacingBefore * 20);
+    if (spacingAfter !== undefined) spacing.after = Math.round(spacingAfter * 20);
+    if (lineHeight) spacing.line = Math.round(lineHeight * 240);
+
+    return { run, paragraph: Object.keys(spacing).length ? { spacing } : {} };
+}
+
+/**
+ * Creates the docx styles matching a theme, for the `styles` option of `buildDocxDocument` or of a docx Document. The
+ * body sets the document defaults, headings the Heading1 to Heading6 styles used by `data-heading`, lists the List
+ * Paragraph style, hyperlinks the Hyperlink character style and captions the Caption style used by `data-style`.
+ *
+ * @example
+ * const doc = await buildDocxDocument(htmlToDocx(html), { styles: createDocxStyles(theme) });
+ *
+ * @param {Object} [theme] - The theme, or overrides of the default theme.
+ * @returns {Object} - The docx styles options, with `default` and `paragraphStyles`.
+ */
+export function createDocxStyles(theme = defaultTheme) {
+    theme = createTheme(theme);
+
+    const defaults = {};
+
+    Object.entries(docxDefaultStyles).forEach(([element, style]) => {
+        const { run, paragraph } = createStyleOptions(theme, element);
+
+        defaults[style] = element === 'hyperlink' ? { run } : { run, paragraph };
+    });
+
+    return {
+        default: defaults,
+        paragraphStyles: [
+            {
+                id: 'Caption',
+                name: 'caption',
+                basedOn: 'Normal',
+                next: 'Normal',
+                quickFormat: true,
+                ...createStyleOptions(theme, 'caption')
+            }
+        ]
+    };
+}
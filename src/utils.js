@@ -1,3 +1,5 @@
+import { validateDocxTree } from './validate';
+
 function splitByBrTag(arr, delimiter = '<br>') {
     let result = [];
 
@@ -12,6 +14,39 @@ function splitByBrTag(arr, delimiter = '<br>') {
     return result;
 }
 
+/**
+ * Normalizes a table from the block body into rows of cells, each cell holding rich-text paragraphs.
+ *
+ * @param {Array|Object} table - The table, either an array of rows or an object with a `rows` array. A row is an array of cells or an object with a `cells` array, and a cell is a rich-text string or an object with a `paragraphs` array.
+ * @returns {Object} - The normalized table, e.g. { rows: [{ header: false, cells: [{ paragraphs: ['Travel'] }] }] }.
+ */
+function normalizeTable(table) {
+    const rows = Array.isArray(table) ? table : table?.rows || [];
+
+    return {
+        rows: rows.map((row) => {
+            const cells = Array.isArray(row) ? row : row?.cells || [];
+
+            return {
+                header: !Array.isArray(row) && !!row?.header,
+                cells: cells.map((cell) => {
+                    let paragraphs = typeof cell === 'string' ? [cell] : cell?.paragraphs || [];
+
+                    // remove empty entries, then split by <br> tag, the same way as the body paragraphs
+                    paragraphs = splitByBrTag(paragraphs.filter((p) => p));
+
+                    const normalized = { paragraphs };
+
+                    if (cell?.columnSpan > 1) normalized.columnSpan = cell.columnSpan;
+                    if (cell?.rowSpan > 1) normalized.rowSpan = cell.rowSpan;
+
+                    return normalized;
+                })
+            };
+        })
+    };
+}
+
 /**
  * Parses a block's content and extracts the main and body content.
  *
@@ -25,7 +60,7 @@ function splitByBrTag(arr, delimiter = '<br>') {
  * @returns {string[]} images - An array of image URLs in the body.
  * @returns {string[]} links - An array of link URLs in the body.
  * @returns {string[]} lists - An array of lists in the body.
- * @returns {string[]} tables - An array of tables in the body.
+ * @returns {Object[]} tables - An array of tables in the body, each with `rows` of `cells` holding `paragraphs`.
  * @returns {Object[]} items - An array of items in the body.
  * @returns {Object} properties - Additional properties of the block.
  */
@@ -53,6 +88,7 @@ export const parseBlockContent = (block) => {
     images = body.imgs || [];
     links = body.links || [];
     lists = body.lists || [];
+    tables = (body.tables || []).map(normalizeTable);
 
     if (block.main?.banner) images.push(block.main.banner);
 
@@ -79,6 +115,11 @@ export const parseBlockContent = (block) => {
         }
     });
 
+    // normalize item's tables
+    items.forEach((item) => {
+        item.tables = (item.tables || []).map(normalizeTable);
+    });
+
     // split text in paragraphs by <br> tag, this is the rich text content which may contain line breaks, we need to display them as separate paragraphs
     paragraphs = splitByBrTag(paragraphs);
     // split text in items's paragraphs by <br> tag
@@ -107,8 +148,166 @@ function stripTags(htmlString) {
     return decodedString;
 }
 
+// the named entities an attribute value may use, decoded without a DOM
+const htmlEntities = {
+    amp: '&',
+    quot: '"',
+    apos: "'",
+    lt: '<',
+    gt: '>',
+    nbsp: '\u00a0'
+};
+
+/**
+ * Decodes the HTML entities of an attribute value, such as '&amp;' in a link href.
+ *
+ * @param {string} value - The attribute value as written in the HTML.
+ * @returns {string} - The value with its named and numeric entities decoded. Unknown entities are kept as written.
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] !== '#') return htmlEntities[name.toLowerCase()] ?? entity;
+
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+}
+
+/**
+ * Converts a CSS color (#rgb, #rrggbb or rgb()) to the hex string used by docx.
+ *
+ * @param {string} color - The CSS color.
+ * @returns {string|null} - The color as an uppercase hex string without '#', or null if it is not supported.
+ */
+function cssColorToHex(color) {
+    const value = color.trim();
+
+    let match = value.match(/^#([0-9a-f]{6})$/i);
+    if (match) return match[1].toUpperCase();
+
+    match = value.match(/^#([0-9a-f]{3})$/i);
+    if (match) {
+        return match[1]
+            .split('')
+            .map((c) => c + c)
+            .join('')
+            .toUpperCase();
+    }
+
+    match = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    if (match) {
+        return match
+            .slice(1, 4)
+            .map((c) => Number(c).toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+
+    return null;
+}
+
+// the preview color of each docx highlight, as Word shows it
+export const highlightColors = {
+    black: '#000000',
+    blue: '#0000FF',
+    cyan: '#00FFFF',
+    green: '#00FF00',
+    magenta: '#FF00FF',
+    red: '#FF0000',
+    yellow: '#FFFF00',
+    white: '#FFFFFF',
+    darkBlue: '#000080',
+    darkCyan: '#008080',
+    darkGreen: '#008000',
+    darkMagenta: '#800080',
+    darkRed: '#800000',
+    darkYellow: '#808000',
+    darkGray: '#808080',
+    lightGray: '#C0C0C0'
+};
+
+/**
+ * Finds the docx highlight closest to a color, as docx highlights are limited to a few named colors.
+ *
+ * @param {string} color - The color as a hex string without '#'.
+ * @returns {string} - The name of the closest highlight, e.g. 'yellow'.
+ */
+function getClosestHighlight(color) {
+    const channels = (hex) => [0, 2, 4].map((index) => parseInt(hex.slice(index, index + 2), 16));
+    const [red, green, blue] = channels(color);
+
+    let closest;
+    let closestDistance = Infinity;
+
+    Object.entries(highlightColors).forEach(([name, value]) => {
+        const [r, g, b] = channels(value.slice(1));
+        const distance = (r - red) ** 2 + (g - green) ** 2 + (b - blue) ** 2;
+
+        if (distance < closestDistance) {
+            closest = name;
+            closestDistance = distance;
+        }
+    });
+
+    return closest;
+}
+
+/**
+ * Parses the inline style attribute of a tag into text part styles.
+ *
+ * @param {string} attributes - The attributes of the tag, e.g. ' style="color: #ff0000"'.
+ * @returns {Object} - The text part styles found in the style attribute.
+ */
+function parseInlineStyle(attributes) {
+    const styles = {};
+    const match = attributes.match(/style\s*=\s*(["'])(.*?)\1/i);
+
+    if (!match) return styles;
+
+    match[2].split(';').forEach((declaration) => {
+        const [property, ...rest] = declaration.split(':');
+        const value = rest.join(':').trim();
+
+        if (!property || !value) return;
+
+        switch (property.trim().toLowerCase()) {
+            case 'color': {
+                const color = cssColorToHex(value);
+                if (color) styles.color = color;
+                break;
+            }
+            case 'background':
+            case 'background-color': {
+                const color = cssColorToHex(value);
+                if (color) styles.highlight = getClosestHighlight(color);
+                break;
+            }
+            case 'font-family':
+                styles.font = value.split(',')[0].trim().replace(/^["']|["']$/g, '');
+                break;
+            case 'font-variant':
+                if (value === 'small-caps') styles.smallCaps = true;
+                break;
+            case 'text-decoration':
+            case 'text-decoration-line':
+                if (value.includes('line-through')) styles.strike = true;
+                if (value.includes('underline')) styles.underline = {};
+                break;
+            case 'vertical-align':
+                if (value === 'super') styles.superScript = true;
+                if (value === 'sub') styles.subScript = true;
+                break;
+        }
+    });
+
+    return styles;
+}
+
 /**
  * Parses a styled string and converts it into an array of text parts with associated styles.
+ * Links (`<a href>`) become parts of type 'link' with the `href`, the plain `content` and the styled text parts as `children`.
+ * Tags can be nested, including in tags of the same name, such as spans, and tags without a closing tag are kept as text.
  *
  * @param {string} inputString - The styled string to parse.
  * @returns {Object[]} - An array of objects representing the styled text parts.
@@ -129,42 +328,118 @@ export function parseStyledString(inputString) {
         };
     };
 
+    /**
+     * Gets the styles of the content of a tag.
+     *
+     * @param {string} tag - The tag name.
+     * @param {string} attributes - The attributes of the tag.
+     * @param {Object} styles - The styles of the content around the tag.
+     * @returns {Object} - The styles of the content of the tag.
+     */
+    const getTagStyles = (tag, attributes, styles) => {
+        const newStyles = { ...styles, ...parseInlineStyle(attributes) };
+        if (tag === 'strong' || tag === 'b') newStyles.bold = true;
+        if (tag === 'em' || tag === 'i') newStyles.italics = true;
+        if (tag === 'u') newStyles.underline = {};
+        if (tag === 'sup') newStyles.superScript = true;
+        if (tag === 'sub') newStyles.subScript = true;
+        if (tag === 's' || tag === 'strike' || tag === 'del') newStyles.strike = true;
+        if (tag === 'mark') newStyles.highlight = 'yellow';
+        if (tag === 'code') newStyles.font = 'Courier New';
+
+        return newStyles;
+    };
+
+    /**
+     * Finds the tags of the string and pairs each opening tag with its closing tag, so nested tags of the same name
+     * close in the right order. Tags without a pair are kept as plain text.
+     *
+     * @param {string} string - The string to parse.
+     * @returns {Object[]} - The opening tags with a closing tag, in order, each with its `tag`, `attributes`, `start`
+     *     and `end` offsets, and the `closeStart` and `closeEnd` offsets of its closing tag.
+     */
+    const pairTags = (string) => {
+        const regexp = /<(\/?)(\w+)(\s[^>]*)?>/g;
+        const open = [];
+        const pairs = [];
+        let match;
+
+        while ((match = regexp.exec(string))) {
+            const [text, closing, tag, attributes = ''] = match;
+
+            if (!closing) {
+                open.push({ tag, attributes, start: match.index, end: match.index + text.length });
+                continue;
+            }
+
+            const index = open.map(({ tag }) => tag).lastIndexOf(tag);
+            if (index === -1) continue;
+
+            // the tags opened inside the closed one and not closed yet are left as plain text
+            const [pair] = open.splice(index);
+            pairs.push({ ...pair, closeStart: match.index, closeEnd: match.index + text.length });
+        }
+
+        return pairs.sort((a, b) => a.start - b.start);
+    };
+
     /**
      * Processes segments of the string, applying styles based on tags.
      *
-     * @param {string} string - The string segment to process.
+     * @param {string} string - The whole string.
+     * @param {Object[]} pairs - The paired tags of the segment, in order.
+     * @param {number} start - The offset of the segment in the string.
+     * @param {number} end - The offset of the end of the segment.
      * @param {Object} [styles={}] - The current styles to apply.
      * @returns {Object[]} - An array of text part objects with styles applied.
      */
-    const processSegments = (string, styles = {}) => {
-        const regexp = /<(\w+)>(.*?)<\/\1>/gs;
+    const processSegments = (string, pairs, start, end, styles = {}) => {
         let result = [];
-        let lastIndex = 0;
+        let lastIndex = start;
+        let index = 0;
+
+        if (start === end) return [createTextPart('', styles)];
+
+        while (index < pairs.length) {
+            const { tag, attributes, start: tagStart, end: tagEnd, closeStart, closeEnd } = pairs[index];
 
-        if (!string) return [createTextPart('', styles)];
+            // the tags nested in this one come next, up to its closing tag
+            let nestedEnd = index + 1;
+            while (nestedEnd < pairs.length && pairs[nestedEnd].start < closeStart) nestedEnd++;
+            const nested = pairs.slice(index + 1, nestedEnd);
 
-        string.replace(regexp, (match, tag, innerText, offset) => {
             // Capture text before the tag, if any
-            const plainText = string.slice(lastIndex, offset);
+            const plainText = string.slice(lastIndex, tagStart);
             if (plainText) {
                 result.push(createTextPart(plainText, styles));
             }
 
-            // Update the styles based on the current tag
-            const newStyles = { ...styles };
-            if (tag === 'strong' || tag === 'b') newStyles.bold = true;
-            if (tag === 'em' || tag === 'i') newStyles.italics = true;
-            if (tag === 'u') newStyles.underline = {};
+            const newStyles = getTagStyles(tag, attributes, styles);
 
-            // Recursively process nested tags
-            result = result.concat(processSegments(innerText, newStyles));
+            const rawHref = tag === 'a' && attributes.match(/href\s*=\s*(["'])(.*?)\1/i)?.[2];
+            const href = rawHref && decodeEntities(rawHref);
 
-            // Update lastIndex to the end of the current match
-            lastIndex = offset + match.length;
-        });
+            if (href) {
+                // Links keep their styled text parts as children, so they can be rendered as inline hyperlinks
+                const children = processSegments(string, nested, tagEnd, closeStart, newStyles);
+
+                result.push({
+                    type: 'link',
+                    href,
+                    content: children.map((child) => child.content).join(''),
+                    children
+                });
+            } else {
+                // Recursively process nested tags
+                result = result.concat(processSegments(string, nested, tagEnd, closeStart, newStyles));
+            }
+
+            lastIndex = closeEnd;
+            index = nestedEnd;
+        }
 
-        // Handle any text after the last matched tag
-        const remainingText = string.slice(lastIndex);
+        // Handle any text after the last tag
+        const remainingText = string.slice(lastIndex, end);
         if (remainingText) {
             result.push(createTextPart(remainingText, styles));
         }
@@ -182,7 +457,7 @@ export function parseStyledString(inputString) {
         inputString = stripTags(inputString);
     }
 
-    return processSegments(inputString);
+    return processSegments(inputString, pairTags(inputString), 0, inputString.length);
 }
 
 /**
@@ -203,18 +478,196 @@ export function mergeListParagraphs(list) {
     return paragraph;
 }
 
+const borderSides = ['top', 'bottom', 'left', 'right'];
+
+/**
+ * The mapping of the data attributes emitted by the components to node properties: the property path, dot separated
+ * for nested properties, and the type the attribute value is coerced to.
+ *
+ * Types are 'string' (the value as it is), 'number', 'numbers' (a comma separated list), 'boolean' ('false' is false,
+ * anything else true), 'flag' (true whatever the value), 'object' (an empty object), 'tabStops' (space separated
+ * type:position:leader triples, e.g. 'right:9026:dot') and arrays of allowed values.
+ * Attributes that are not listed keep their value as a string, under their name without the 'data-' prefix.
+ */
+const attributeMappings = {
+    // text runs
+    'data-bold': ['bold', 'string'],
+    'data-italics': ['italics', 'string'],
+    'data-underline': ['underline', 'object'],
+    'data-superscript': ['superScript', 'flag'],
+    'data-subscript': ['subScript', 'flag'],
+    'data-smallcaps': ['smallCaps', 'flag'],
+    'data-strike': ['strike', 'flag'],
+    'data-highlight': ['highlight', 'string'],
+    'data-color': ['color', 'string'],
+    'data-font': ['font', 'string'],
+    'data-style': ['style', 'string'],
+    'data-positionaltab-alignment': ['positionalTab.alignment', 'string'],
+    'data-positionaltab-leader': ['positionalTab.leader', 'string'],
+    'data-positionaltab-relativeto': ['positionalTab.relativeTo', 'string'],
+    'data-total': ['total', 'string'],
+    'data-link': ['link', 'string'],
+    'data-anchor': ['anchor', 'string'],
+    'data-name': ['name', 'string'],
+    'data-identifier': ['identifier', 'string'],
+    'data-bookmark': ['bookmark', 'string'],
+
+    // paragraphs
+    'data-heading': ['heading', 'string'],
+    'data-spacing-before': ['spacing.before', 'string'],
+    'data-spacing-after': ['spacing.after', 'string'],
+    'data-spacing-line': ['spacing.line', 'number'],
+    'data-spacing-linerule': ['spacing.lineRule', ['auto', 'exact', 'atLeast']],
+    'data-bullet-level': ['bullet.level', 'string'],
+    'data-numbering-reference': ['numbering.reference', 'string'],
+    'data-numbering-level': ['numbering.level', 'string'],
+    'data-numbering-instance': ['numbering.instance', 'string'],
+    'data-alignment': ['alignment', ['left', 'center', 'right', 'both', 'start', 'end', 'distribute']],
+    'data-indent-left': ['indent.left', 'number'],
+    'data-indent-right': ['indent.right', 'number'],
+    'data-indent-firstline': ['indent.firstLine', 'number'],
+    'data-indent-hanging': ['indent.hanging', 'number'],
+    'data-keepnext': ['keepNext', 'boolean'],
+    'data-keeplines': ['keepLines', 'boolean'],
+    'data-pagebreakbefore': ['pageBreakBefore', 'boolean'],
+    'data-outlinelevel': ['outlineLevel', 'number'],
+    'data-widowcontrol': ['widowControl', 'boolean'],
+    'data-contextualspacing': ['contextualSpacing', 'boolean'],
+    'data-tabstops': ['tabStops', 'tabStops'],
+
+    // images
+    'data-src': ['src', 'string'],
+    'data-image-type': ['imageType', 'string'],
+    'data-transformation-width': ['transformation.width', 'string'],
+    'data-transformation-height': ['transformation.height', 'string'],
+    'data-alttext-title': ['altText.title', 'string'],
+    'data-alttext-description': ['altText.description', 'string'],
+    'data-alttext-name': ['altText.name', 'string'],
+    'data-floating-horizontalposition-relative': ['floating.horizontalPosition.relative', 'string'],
+    'data-floating-verticalposition-relative': ['floating.verticalPosition.relative', 'string'],
+    'data-floating-horizontalposition-align': ['floating.horizontalPosition.align', 'string'],
+    'data-floating-verticalposition-align': ['floating.verticalPosition.align', 'string'],
+    'data-floating-horizontalposition-offset': ['floating.horizontalPosition.offset', 'string'],
+    'data-floating-verticalposition-offset': ['floating.verticalPosition.offset', 'string'],
+
+    // tables
+    'data-width-size': ['width.size', 'string'],
+    'data-width-type': ['width.type', 'string'],
+    'data-margins-top': ['margins.top', 'string'],
+    'data-margins-bottom': ['margins.bottom', 'string'],
+    'data-margins-left': ['margins.left', 'string'],
+    'data-margins-right': ['margins.right', 'string'],
+    ...Object.fromEntries(
+        borderSides.flatMap((side) => ['style', 'size', 'color'].map((key) => [`data-borders-${side}-${key}`, [`borders.${side}.${key}`, 'string']]))
+    ),
+    'data-shading-fill': ['shading.fill', 'string'],
+    'data-shading-color': ['shading.color', 'string'],
+    'data-shading-type': ['shading.type', 'string'],
+    'data-columnwidths': ['columnWidths', 'numbers'],
+    'data-columnspan': ['columnSpan', 'number'],
+    'data-rowspan': ['rowSpan', 'number'],
+    'data-verticalalign': ['verticalAlign', 'string'],
+    'data-tableheader': ['tableHeader', 'flag'],
+
+    // sections, headers, footers and table of contents
+    'data-page-size-width': ['page.size.width', 'string'],
+    'data-page-size-height': ['page.size.height', 'string'],
+    'data-page-size-orientation': ['page.size.orientation', 'string'],
+    'data-page-margin-top': ['page.margin.top', 'string'],
+    'data-page-margin-right': ['page.margin.right', 'string'],
+    'data-page-margin-bottom': ['page.margin.bottom', 'string'],
+    'data-page-margin-left': ['page.margin.left', 'string'],
+    'data-column-count': ['column.count', 'string'],
+    'data-column-space': ['column.space', 'string'],
+    'data-sectiontype': ['sectionType', 'string'],
+    'data-variant': ['variant', 'string'],
+    'data-headingstylerange': ['headingStyleRange', 'string'],
+    'data-leader': ['leader', 'string'],
+    'data-hyperlink': ['hyperlink', 'flag']
+};
+
+/**
+ * Coerces an attribute value to a property type, see `attributeMappings`.
+ *
+ * @param {string} value - The attribute value.
+ * @param {string|string[]} type - The property type.
+ * @param {string} name - The attribute name, for warnings.
+ * @returns {*} - The property value.
+ */
+function coerceAttribute(value, type, name) {
+    if (Array.isArray(type)) {
+        if (!type.includes(value)) console.warn(`Unexpected value "${value}" for ${name}, expected one of ${type.join(', ')}.`);
+        return value;
+    }
+
+    switch (type) {
+        case 'flag':
+            return true;
+        case 'object':
+            return {};
+        case 'boolean':
+            return value !== 'false';
+        case 'number': {
+            const number = Number(value);
+
+            if (value.trim() === '' || isNaN(number)) {
+                console.warn(`Unexpected value "${value}" for ${name}, expected a number.`);
+                return value;
+            }
+
+            return number;
+        }
+        case 'numbers':
+            return value.split(',').map(Number);
+        case 'tabStops':
+            return value
+                .split(/\s+/)
+                .filter(Boolean)
+                .map((stop) => {
+                    const [type, position, leader = 'none'] = stop.split(':');
+                    return { type, position: Number(position), leader };
+                });
+        default:
+            return value;
+    }
+}
+
+/**
+ * Sets a nested property, creating the objects on its path.
+ *
+ * @param {Object} properties - The properties to update.
+ * @param {string} path - The dot separated path of the property, e.g. 'borders.top.size'.
+ * @param {*} value - The value.
+ */
+function setProperty(properties, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+
+    const target = keys.reduce((object, key) => {
+        if (typeof object[key] !== 'object' || object[key] === null) object[key] = {};
+        return object[key];
+    }, properties);
+
+    target[last] = value;
+}
+
 /**
  * Convert HTML string to object and let the UNIWEB engine generate doc file with the docx library.
  *
  * @param {string} htmlString - The HTML string to convert.
+ * @param {Object} [options={}] - The conversion options.
+ * @param {boolean} [options.development=false] - Whether to validate the result with `validateDocxTree` and log a warning for each error.
+ *     The nodes nested in text runs, which docx drops, are then kept as their `children` so they can be reported.
  * @returns {Object[]} - An array of objects representing the structured content of the HTML.
  */
-export function htmlToDocx(htmlString) {
+export function htmlToDocx(htmlString, options = {}) {
+    const { development = false } = options;
+
     const parser = new DOMParser();
     const doc = parser.parseFromString(htmlString, 'text/html');
 
     /**
-     * Parses the attributes of an element to convert specific properties.
+     * Parses the data attributes of an element into node properties, see `attributeMappings`.
      *
      * @param {NamedNodeMap} attributes - The attributes of the element.
      * @returns {Object} - An object containing the parsed properties.
@@ -224,185 +677,12 @@ export function htmlToDocx(htmlString) {
 
         for (const attr of attributes) {
             if (attr.name.startsWith('data-') && attr.name !== 'data-type') {
-                switch (attr.name) {
-                    case 'data-underline':
-                        properties.underline = {};
-                        break;
-                    case 'data-positionaltab-alignment':
-                        properties.positionalTab = properties.positionalTab || {};
-                        properties.positionalTab.alignment = attr.value;
-                        break;
-                    case 'data-positionaltab-leader':
-                        properties.positionalTab = properties.positionalTab || {};
-                        properties.positionalTab.leader = attr.value;
-                        break;
-                    case 'data-positionaltab-relativeto':
-                        properties.positionalTab = properties.positionalTab || {};
-                        properties.positionalTab.relativeTo = attr.value;
-                        break;
-                    case 'data-spacing-before':
-                        properties.spacing = properties.spacing || {};
-                        properties.spacing.before = attr.value;
-                        break;
-                    case 'data-spacing-after':
-                        properties.spacing = properties.spacing || {};
-                        properties.spacing.after = attr.value;
-                        break;
-                    case 'data-transformation-width':
-                        properties.transformation = properties.transformation || {};
-                        properties.transformation.width = attr.value;
-                        break;
-                    case 'data-transformation-height':
-                        properties.transformation = properties.transformation || {};
-                        properties.transformation.height = attr.value;
-                        break;
-                    case 'data-bullet-level':
-                        properties.bullet = properties.bullet || {};
-                        properties.bullet.level = attr.value;
-                        break;
-                    case 'data-numbering-reference':
-                        properties.numbering = properties.numbering || {};
-                        properties.numbering.reference = attr.value;
-                        break;
-                    case 'data-numbering-level':
-                        properties.numbering = properties.numbering || {};
-                        properties.numbering.level = attr.value;
-                        break;
-                    case 'data-numbering-instance':
-                        properties.numbering = properties.numbering || {};
-                        properties.numbering.instance = attr.value;
-                        break;
-                    case 'data-alttext-title':
-                        properties.altText = properties.altText || {};
-                        properties.altText.title = attr.value;
-                        break;
-                    case 'data-alttext-description':
-                        properties.altText = properties.altText || {};
-                        properties.altText.description = attr.value;
-                        break;
-                    case 'data-alttext-name':
-                        properties.altText = properties.altText || {};
-                        properties.altText.name = attr.value;
-                        break;
-                    case 'data-width-size':
-                        properties.width = properties.width || {};
-                        properties.width.size = attr.value;
-                        break;
-                    case 'data-width-type':
-                        properties.width = properties.width || {};
-                        properties.width.type = attr.value;
-                        break;
-                    case 'data-margins-top':
-                        properties.margins = properties.margins || {};
-                        properties.margins.top = attr.value;
-                        break;
-                    case 'data-margins-bottom':
-                        properties.margins = properties.margins || {};
-                        properties.margins.bottom = attr.value;
-                        break;
-                    case 'data-margins-left':
-                        properties.margins = properties.margins || {};
-                        properties.margins.left = attr.value;
-                        break;
-                    case 'data-margins-right':
-                        properties.margins = properties.margins || {};
-                        properties.margins.right = attr.value;
-                        break;
-                    case 'data-borders-top-style':
-                        properties.borders = properties.borders || {};
-                        properties.borders.top = properties.borders.top || {};
-                        properties.borders.top.style = attr.value;
-                        break;
-                    case 'data-borders-top-size':
-                        properties.borders = properties.borders || {};
-                        properties.borders.top = properties.borders.top || {};
-                        properties.borders.top.size = attr.value;
-                        break;
-                    case 'data-borders-top-color':
-                        properties.borders = properties.borders || {};
-                        properties.borders.top = properties.borders.top || {};
-                        properties.borders.top.color = attr.value;
-                        break;
-                    case 'data-borders-bottom-style':
-                        properties.borders = properties.borders || {};
-                        properties.borders.bottom = properties.borders.bottom || {};
-                        properties.borders.bottom.style = attr.value;
-                        break;
-                    case 'data-borders-bottom-size':
-                        properties.borders = properties.borders || {};
-                        properties.borders.bottom = properties.borders.bottom || {};
-                        properties.borders.bottom.size = attr.value;
-                        break;
-                    case 'data-borders-bottom-color':
-                        properties.borders = properties.borders || {};
-                        properties.borders.bottom = properties.borders.bottom || {};
-                        properties.borders.bottom.color = attr.value;
-                        break;
-                    case 'data-borders-left-style':
-                        properties.borders = properties.borders || {};
-                        properties.borders.left = properties.borders.left || {};
-                        properties.borders.left.style = attr.value;
-                        break;
-                    case 'data-borders-left-size':
-                        properties.borders = properties.borders || {};
-                        properties.borders.left = properties.borders.left || {};
-                        properties.borders.left.size = attr.value;
-                        break;
-                    case 'data-borders-left-color':
-                        properties.borders = properties.borders || {};
-                        properties.borders.left = properties.borders.left || {};
-                        properties.borders.left.color = attr.value;
-                        break;
-                    case 'data-borders-right-style':
-                        properties.borders = properties.borders || {};
-                        properties.borders.right = properties.borders.right || {};
-                        properties.borders.right.style = attr.value;
-                        break;
-                    case 'data-borders-right-size':
-                        properties.borders = properties.borders || {};
-                        properties.borders.right = properties.borders.right || {};
-                        properties.borders.right.size = attr.value;
-                        break;
-                    case 'data-borders-right-color':
-                        properties.borders = properties.borders || {};
-                        properties.borders.right = properties.borders.right || {};
-                        properties.borders.right.color = attr.value;
-                        break;
-                    case 'data-image-type':
-                        properties.imageType = attr.value;
-                        break;
-                    case 'data-floating-horizontalposition-relative':
-                        properties.floating = properties.floating || {};
-                        properties.floating.horizontalPosition = properties.floating.horizontalPosition || {};
-                        properties.floating.horizontalPosition.relative = attr.value;
-                        break;
-                    case 'data-floating-verticalposition-relative':
-                        properties.floating = properties.floating || {};
-                        properties.floating.verticalPosition = properties.floating.verticalPosition || {};
-                        properties.floating.verticalPosition.relative = attr.value;
-                        break;
-                    case 'data-floating-horizontalposition-align':
-                        properties.floating = properties.floating || {};
-                        properties.floating.horizontalPosition = properties.floating.horizontalPosition || {};
-                        properties.floating.horizontalPosition.align = attr.value;
-                        break;
-                    case 'data-floating-verticalposition-align':
-                        properties.floating = properties.floating || {};
-                        properties.floating.verticalPosition = properties.floating.verticalPosition || {};
-                        properties.floating.verticalPosition.align = attr.value;
-                        break;
-                    case 'data-floating-horizontalposition-offset':
-                        properties.floating = properties.floating || {};
-                        properties.floating.horizontalPosition = properties.floating.horizontalPosition || {};
-                        properties.floating.horizontalPosition.offset = attr.value;
-                        break;
-                    case 'data-floating-verticalposition-offset':
-                        properties.floating = properties.floating || {};
-                        properties.floating.verticalPosition = properties.floating.verticalPosition || {};
-                        properties.floating.verticalPosition.offset = attr.value;
-                        break;
-                    default:
-                        properties[attr.name.replace('data-', '')] = attr.value;
+                const mapping = attributeMappings[attr.name];
+
+                if (mapping) {
+                    setProperty(properties, mapping[0], coerceAttribute(attr.value, mapping[1], attr.name));
+                } else {
+                    properties[attr.name.replace('data-', '')] = attr.value;
                 }
             }
         }
@@ -435,7 +715,12 @@ export function htmlToDocx(htmlString) {
                 for (const child of node.childNodes) {
                     const childObject = nodeToObject(child);
                     if (childObject) {
-                        children.push(childObject);
+                        // nested content wrappers are spread as well
+                        if (Array.isArray(childObject)) {
+                            children.push(...childObject);
+                        } else {
+                            children.push(childObject);
+                        }
                     }
                 }
                 return children; // return array of children to be spread into parent
@@ -460,6 +745,13 @@ export function htmlToDocx(htmlString) {
 
             if (type === 'text') {
                 obj.content = children.map((child) => child.content).join('');
+
+                // anything but text inside a text run is dropped by docx, in development it is kept so validateDocxTree can report it
+                const nested = children.filter((child) => child.type !== 'text');
+                if (development && nested.length > 0) obj.children = nested;
+            } else if (type === 'table') {
+                // docx expects the rows of a table under `rows`, anything else (e.g. colgroup) is preview only
+                obj.rows = children.filter((child) => child.type === 'tableRow');
             } else if (children.length > 0) {
                 obj.children = children;
             }
@@ -483,39 +775,161 @@ export function htmlToDocx(htmlString) {
         }
     }
 
+    if (development) {
+        validateDocxTree(result).forEach(({ path, message }) => console.warn(`htmlToDocx: ${message} at ${path}`));
+    }
+
     return result;
 }
 
+/**
+ * Gets the decimal separator of a locale.
+ *
+ * @param {string} locale - The locale, e.g. 'fr-CA'.
+ * @returns {string} - The decimal separator, e.g. ','.
+ */
+function getDecimalSeparator(locale) {
+    return new Intl.NumberFormat(locale).formatToParts(1.5).find((part) => part.type === 'decimal')?.value || '.';
+}
+
+/**
+ * Parses a number formatted in any locale, e.g. '1,234.56', '1 234,56', '1.234,56' or '(1,234.56)'.
+ *
+ * Plain decimal numbers, including exponents such as '1.5e3', are read as JavaScript numbers. Otherwise, when the text has both
+ * commas and dots, the last one is the decimal separator. A single separator followed by exactly
+ * three digits is ambiguous ('1,234' or '1.234'), so it is read as the decimal separator only if it is the one of the locale.
+ *
+ * @param {string|number} text - The text to parse.
+ * @param {string} [locale='en-US'] - The locale used to resolve ambiguous separators.
+ * @returns {number} - The number, or NaN if the text has no digits.
+ */
+export function parseLocaleNumber(text, locale = 'en-US') {
+    if (typeof text === 'number') return text;
+
+    let value = String(text).trim();
+
+    // plain numbers, such as '1234.5' or '1e5', are read as they are, unless the dot may group thousands in the locale
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) && !(/\.\d{3}$/.test(value) && getDecimalSeparator(locale) !== '.')) {
+        return Number(value);
+    }
+
+    // accounting negatives are wrapped in parentheses
+    const negative = /^\(.*\)$/.test(value) || /^[^\d]*[-\u2212]/.test(value);
+
+    // drop currency symbols and codes, signs and group separators made of spaces or apostrophes
+    value = value.replace(/[^\d.,]/g, '');
+
+    if (!/\d/.test(value)) return NaN;
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    let decimal = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        decimal = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const occurrences = value.split(separator).length - 1;
+        const digitsAfter = value.length - value.lastIndexOf(separator) - 1;
+
+        if (occurrences === 1 && (digitsAfter !== 3 || getDecimalSeparator(locale) === separator)) {
+            decimal = separator;
+        }
+    }
+
+    const [integer, fraction = ''] = decimal ? [value.slice(0, value.lastIndexOf(decimal)), value.slice(value.lastIndexOf(decimal) + 1)] : [value];
+    const number = parseFloat(`${integer.replace(/[.,]/g, '')}.${fraction}`);
+
+    return negative ? -number : number;
+}
+
+// the currencies and locales that failed to format, so each one is only reported once
+const currencyWarnings = new Set();
+
 /**
  * Formats a given text as a currency string.
  *
- * @param {string} text - The text to convert and format as currency.
- * @param {boolean} [withSymbol=true] - Whether to include the currency symbol in the formatted string.
+ * The second argument is either the legacy `withSymbol` flag or an options object. Input already formatted in another
+ * locale (e.g. '1 234,56') is parsed before formatting.
+ *
+ * @example
+ * makeCurrency('1234.5'); // '$1,234.50'
+ * makeCurrency('1234.5', false); // '1,234.50'
+ * makeCurrency('1 234,5', { currency: 'CAD', locale: 'fr-CA' }); // '1 234,50 $'
+ * makeCurrency(-1234.5, { currency: 'EUR', locale: 'de-DE', accounting: true }); // '(1.234,50 €)'
+ * makeCurrency(1234567, { currency: 'GBP', locale: 'en-GB', compact: true }); // '£1.2M'
+ *
+ * @param {string|number} text - The text to convert and format as currency.
+ * @param {boolean|Object} [options=true] - Whether to include the currency symbol, or the formatting options.
+ * @param {string} [options.currency='USD'] - The ISO 4217 currency code, e.g. 'CAD', 'EUR' or 'GBP'.
+ * @param {string} [options.locale='en-US'] - The locale used for formatting, e.g. 'fr-CA'.
+ * @param {boolean} [options.withSymbol=true] - Whether to include the currency symbol in the formatted string.
+ * @param {boolean} [options.accounting=false] - Whether to wrap negative amounts in parentheses instead of using a minus sign.
+ * @param {boolean} [options.compact=false] - Whether to use compact notation, e.g. '1.2M'.
+ * @param {number} [options.decimals] - The number of decimals. Defaults to 2, or to at most 1 in compact notation.
+ * @param {string} [options.inputLocale] - The locale used to resolve ambiguous separators in the input. Defaults to `locale`.
  * @returns {string} - The formatted currency string.
  */
-export function makeCurrency(text, withSymbol = true) {
+export function makeCurrency(text, options = true) {
+    const {
+        currency = 'USD',
+        locale = 'en-US',
+        withSymbol = true,
+        accounting = false,
+        compact = false,
+        decimals,
+        inputLocale = locale
+    } = typeof options === 'boolean' ? { withSymbol: options } : options;
+
+    // the legacy flag keeps the original output, a dollar sign before the formatted number, e.g. '$-1,234.50'
+    const legacy = typeof options === 'boolean';
+
     try {
-        // Convert the text to a number
-        const number = parseFloat(text.replace(/,/g, '')); // Remove existing commas to ensure correct parsing
-
-        // Check if the conversion is successful and it's a valid number
-        if (!isNaN(number)) {
-            // Format the number to US currency style without the currency symbol
-            const formatter = new Intl.NumberFormat('en-US', {
-                style: 'decimal',
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
-            });
+        const formatter = new Intl.NumberFormat(locale, {
+            style: withSymbol && !legacy ? 'currency' : 'decimal',
+            currency,
+            notation: compact ? 'compact' : 'standard',
+            minimumFractionDigits: compact ? 0 : decimals ?? 2,
+            maximumFractionDigits: decimals ?? (compact ? 1 : 2)
+        });
 
-            return withSymbol ? `$${formatter.format(number)}` : formatter.format(number);
-        } else {
-            // Return the original text with a dollar sign if conversion fails
-            return withSymbol ? `$${text}` : text;
+        const number = parseLocaleNumber(text, inputLocale);
+
+        if (legacy) {
+            const formatted = isNaN(number) ? text : formatter.format(number);
+
+            return withSymbol ? `$${formatted}` : formatted;
         }
+
+        if (isNaN(number)) {
+            // keep the original text, in place of the number next to the currency symbol
+            let placed = false;
+
+            return formatter
+                .formatToParts(0)
+                .map(({ type, value }) => {
+                    if (!['integer', 'group', 'decimal', 'fraction'].includes(type)) return value;
+                    if (placed) return '';
+
+                    placed = true;
+                    return text;
+                })
+                .join('');
+        }
+
+        if (accounting && number < 0) return `(${formatter.format(-number)})`;
+
+        return formatter.format(number);
     } catch (e) {
-        // Handle any unexpected errors
-        console.error('Error formatting currency:', e);
-        return withSymbol ? `$${text}` : text;
+        // Handle any unexpected errors, such as an unknown currency code, warning once for each currency and locale
+        const key = `${currency}:${locale}`;
+
+        if (!currencyWarnings.has(key)) {
+            currencyWarnings.add(key);
+            console.warn(`Unable to format currency ${currency} in locale ${locale}:`, e.message);
+        }
+
+        return withSymbol ? `${currency} ${text}` : text;
     }
 }
 
@@ -543,6 +957,143 @@ export function makeRange(start, end) {
     return start || end || '';
 }
 
+// the word for an ongoing end date, by language
+const presentLabels = {
+    en: 'Present',
+    fr: 'présent',
+    es: 'presente',
+    pt: 'presente',
+    it: 'presente',
+    de: 'heute',
+    nl: 'heden'
+};
+
+const dateGranularities = ['year', 'month', 'day'];
+
+/**
+ * Parses a date value into its parts and granularity. Accepts Date objects, years as numbers, and ISO strings with a
+ * year ('2019'), a year and month ('2019-03') or a full date ('2019-03-15', optionally followed by a time).
+ *
+ * @param {Date|string|number} value - The date value.
+ * @returns {Object|null} - The date as { year, month, day, granularity }, or null if the value is not a date.
+ */
+function parseDateValue(value) {
+    if (value instanceof Date) {
+        if (isNaN(value)) return null;
+
+        return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(), granularity: 'day' };
+    }
+
+    const match = String(value ?? '')
+        .trim()
+        .match(/^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?(?:[T\s].*)?$/);
+
+    if (!match) return null;
+
+    const [, year, month, day] = match;
+
+    return {
+        year: Number(year),
+        month: month ? Number(month) : 1,
+        day: day ? Number(day) : 1,
+        granularity: day ? 'day' : month ? 'month' : 'year'
+    };
+}
+
+/**
+ * Gets the granularity a date is shown with: its own, or a coarser one if requested.
+ *
+ * @param {Object} date - The date parsed by `parseDateValue`.
+ * @param {string} [granularity] - The requested granularity: 'year', 'month' or 'day'.
+ * @returns {string} - The granularity to show.
+ */
+function getDatePrecision(date, granularity) {
+    return granularity && dateGranularities.indexOf(granularity) < dateGranularities.indexOf(date.granularity) ? granularity : date.granularity;
+}
+
+/**
+ * Gets the Intl.DateTimeFormat options that show a date down to a granularity.
+ *
+ * @param {string} granularity - The granularity: 'year', 'month' or 'day'.
+ * @param {string} month - The month format, e.g. 'short' or 'long'.
+ * @returns {Object} - The date format options, in UTC so the date does not shift with the time zone.
+ */
+function getDateFormatOptions(granularity, month) {
+    const options = { timeZone: 'UTC', year: 'numeric' };
+
+    if (granularity !== 'year') options.month = month;
+    if (granularity === 'day') options.day = 'numeric';
+
+    return options;
+}
+
+/**
+ * Formats a date per locale, down to the granularity of the value (e.g. '2019', 'Mar 2019' or 'Mar 15, 2019').
+ *
+ * @param {Date|string|number} value - The date: a Date, or an ISO date, year-month or year value.
+ * @param {Object} [options={}] - The formatting options.
+ * @param {string} [options.locale='en-US'] - The locale, e.g. 'fr-CA'.
+ * @param {string} [options.granularity] - Formats the date down to 'year', 'month' or 'day' at most, instead of the granularity of the value.
+ * @param {string} [options.month='short'] - The month format: 'short', 'long' or 'numeric'.
+ * @returns {string} - The formatted date, or the value as it is if it is not a date.
+ */
+export function formatDate(value, options = {}) {
+    const { locale = 'en-US', granularity, month = 'short' } = options;
+    const date = parseDateValue(value);
+
+    if (!date) return value ? String(value) : '';
+
+    const precision = getDatePrecision(date, granularity);
+
+    return new Intl.DateTimeFormat(locale, getDateFormatOptions(precision, month)).format(Date.UTC(date.year, date.month - 1, date.day));
+}
+
+/**
+ * Creates a date range string from a start and end date, separated by an en dash.
+ *
+ * Dates sharing a year are collapsed per locale ('Jan – Mar 2022'), and identical dates give a single date. A range with
+ * no end date, or an end date of 'present', 'current' or 'now', is open-ended ('2019 – Present').
+ *
+ * @example
+ * makeDateRange('2022-01', '2022-03'); // 'Jan – Mar 2022'
+ * makeDateRange('2019'); // '2019 – Present'
+ * makeDateRange('2019-09', null, { locale: 'fr-CA' }); // 'sept. 2019 – présent'
+ *
+ * @param {Date|string|number} start - The start date.
+ * @param {Date|string|number} [end] - The end date.
+ * @param {Object} [options={}] - The formatting options, as for `formatDate`.
+ * @param {string|boolean} [options.present] - The label of an open end, localized by default. With false, a range with no end date gives the start date only.
+ * @returns {string} - The formatted date range, or an empty string if there is no start or end date.
+ */
+export function makeDateRange(start, end, options = {}) {
+    const { locale = 'en-US', present, month = 'short' } = options;
+    const ongoing = !end || /^(present|current|now)$/i.test(String(end).trim());
+
+    if (!start) return ongoing ? '' : formatDate(end, options);
+
+    if (ongoing) {
+        if (present === false) return formatDate(start, options);
+
+        const label = present || presentLabels[new Intl.Locale(locale).language] || presentLabels.en;
+
+        return `${formatDate(start, options)} – ${label}`;
+    }
+
+    const startDate = parseDateValue(start);
+    const endDate = parseDateValue(end);
+
+    // values that are not dates, or dates of different granularities, cannot be collapsed
+    if (!startDate || !endDate || startDate.granularity !== endDate.granularity) {
+        return `${formatDate(start, options)} – ${formatDate(end, options)}`;
+    }
+
+    const precision = getDatePrecision(startDate, options.granularity);
+    const formatter = new Intl.DateTimeFormat(locale, getDateFormatOptions(precision, month));
+
+    // some locales put thin or no spaces around the range dash
+    return formatter.formatRange(Date.UTC(startDate.year, startDate.month - 1, startDate.day), Date.UTC(endDate.year, endDate.month - 1, endDate.day)).replace(/\s*–\s*/, ' – ');
+}
+
 /**
  * Joins the elements of an array into a string with a given separator.
  *
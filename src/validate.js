@@ -0,0 +1,258 @@
+// property value types: 'string', 'number' and 'boolean' accept the string form kept from HTML attributes, an array
+// lists the allowed values (or, with a single type or object, is a list of such values), and an object describes the
+// properties of a nested object
+const border = { style: 'string', size: 'number', color: 'string' };
+const borders = { top: border, bottom: border, left: border, right: border };
+const shading = { fill: 'string', color: 'string', type: 'string' };
+const width = { size: 'number', type: ['dxa', 'pct', 'auto', 'nil'] };
+const sides = { top: 'number', right: 'number', bottom: 'number', left: 'number' };
+const position = { relative: 'string', align: 'string', offset: 'number' };
+const leader = ['none', 'dot', 'hyphen', 'underscore', 'middleDot'];
+const tabStop = { type: ['left', 'right', 'center', 'bar', 'clear', 'decimal', 'end', 'num', 'start'], position: 'number', leader };
+
+const textProperties = {
+    content: 'string',
+    bold: 'boolean',
+    italics: 'boolean',
+    underline: { type: 'string', color: 'string' },
+    superScript: 'boolean',
+    subScript: 'boolean',
+    strike: 'boolean',
+    smallCaps: 'boolean',
+    highlight: 'string',
+    color: 'string',
+    font: 'string',
+    style: 'string',
+    positionalTab: {
+        alignment: ['left', 'center', 'right'],
+        relativeTo: ['margin', 'indent'],
+        leader
+    }
+};
+
+/**
+ * The schema of the nodes produced by `htmlToDocx`: where each node type may appear, what children it takes and the
+ * types of its properties. Contexts are 'block' (section content and table cells), 'inline' (paragraph content),
+ * 'text' (text runs only), 'table' (table rows) and 'row' (table cells).
+ */
+const nodeSchemas = {
+    paragraph: {
+        context: 'block',
+        children: 'inline',
+        properties: {
+            style: 'string',
+            heading: ['TITLE', 'HEADING_1', 'HEADING_2', 'HEADING_3', 'HEADING_4', 'HEADING_5', 'HEADING_6'],
+            bullet: { level: 'number' },
+            numbering: { reference: 'string', level: 'number', instance: 'string' },
+            spacing: { before: 'number', after: 'number', line: 'number', lineRule: ['auto', 'exact', 'atLeast'] },
+            alignment: ['left', 'center', 'right', 'both', 'start', 'end', 'distribute'],
+            indent: { left: 'number', right: 'number', firstLine: 'number', hanging: 'number' },
+            keepNext: 'boolean',
+            keepLines: 'boolean',
+            pageBreakBefore: 'boolean',
+            widowControl: 'boolean',
+            contextualSpacing: 'boolean',
+            outlineLevel: 'number',
+            tabStops: [tabStop],
+            borders,
+            shading
+        }
+    },
+    table: {
+        context: 'block',
+        rows: 'table',
+        properties: { columnWidths: ['number'], width, borders }
+    },
+    tableRow: {
+        context: 'table',
+        children: 'row',
+        properties: { tableHeader: 'boolean' }
+    },
+    tableCell: {
+        context: 'row',
+        children: 'block',
+        properties: { width, margins: sides, borders, shading, columnSpan: 'number', rowSpan: 'number', verticalAlign: ['top', 'center', 'bottom'] }
+    },
+    documentSection: {
+        context: 'block',
+        children: 'block',
+        properties: {
+            page: { size: { width: 'number', height: 'number', orientation: ['portrait', 'landscape'] }, margin: sides },
+            column: { count: 'number', space: 'number' },
+            sectionType: ['nextPage', 'continuous', 'evenPage', 'oddPage', 'nextColumn']
+        }
+    },
+    header: { context: 'block', children: 'block', properties: { variant: ['default', 'first', 'even'] } },
+    footer: { context: 'block', children: 'block', properties: { variant: ['default', 'first', 'even'] } },
+    pageBreak: { context: 'block', properties: {} },
+    tableOfContents: {
+        context: 'block',
+        properties: { headingStyleRange: 'string', leader, hyperlink: 'boolean' }
+    },
+    text: { context: 'inline', properties: textProperties },
+    image: {
+        context: 'inline',
+        required: ['src'],
+        properties: {
+            src: 'string',
+            imageType: ['png', 'jpg', 'jpeg', 'gif', 'bmp'],
+            transformation: { width: 'number', height: 'number' },
+            altText: { title: 'string', description: 'string', name: 'string' },
+            floating: { horizontalPosition: position, verticalPosition: position }
+        }
+    },
+    tab: { context: 'inline', properties: {} },
+    footnote: { context: 'inline', children: 'inline', properties: {} },
+    pageNumber: { context: 'inline', properties: { total: 'boolean' } },
+    externalHyperlink: { context: 'inline', children: 'inline', required: ['link'], properties: { link: 'string' } },
+    internalHyperlink: { context: 'inline', children: 'inline', required: ['anchor'], properties: { anchor: 'string' } },
+    bookmark: { context: 'inline', children: 'inline', required: ['name'], properties: { name: 'string' } },
+    sequence: { context: 'inline', children: 'text', required: ['identifier'], properties: { identifier: 'string' } },
+    crossReference: { context: 'inline', children: 'text', required: ['bookmark'], properties: { bookmark: 'string' } }
+};
+
+const contextDescriptions = {
+    block: 'at block level (e.g. in a section or table cell)',
+    inline: 'inside a paragraph',
+    text: 'inside a field, which only takes text',
+    table: 'inside a table, which only takes table rows',
+    row: 'inside a table row, which only takes table cells'
+};
+
+// the node types allowed in each context
+const contextTypes = Object.entries(nodeSchemas).reduce((types, [type, { context }]) => {
+    types[context] = [...(types[context] || []), type];
+    return types;
+}, {});
+
+contextTypes.text = ['text'];
+
+/**
+ * Checks a property value against its type, adding an error for each mismatch.
+ *
+ * @param {*} value - The property value.
+ * @param {string|Array|Object} type - The property type from the schema.
+ * @param {string} path - The path of the property.
+ * @param {Object[]} errors - The errors found so far.
+ */
+function validateValue(value, type, path, errors) {
+    const fail = (expected) => errors.push({ path, message: `Expected ${expected}, got ${Number.isNaN(value) ? 'NaN' : JSON.stringify(value)}` });
+
+    if (Array.isArray(type)) {
+        // an array with a single type is a list of values of that type
+        if (type.length === 1 && (type[0] === 'number' || typeof type[0] === 'object')) {
+            if (!Array.isArray(value)) return fail(type[0] === 'number' ? 'an array of numbers' : 'an array of objects');
+            return value.forEach((item, index) => validateValue(item, type[0], `${path}[${index}]`, errors));
+        }
+
+        if (!type.includes(value)) fail(`one of ${type.join(', ')}`);
+        return;
+    }
+
+    if (typeof type === 'object') {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail('an object');
+
+        return Object.entries(value).forEach(([key, item]) => {
+            if (!type[key]) {
+                errors.push({ path: `${path}.${key}`, message: `Unknown property "${key}"` });
+            } else {
+                validateValue(item, type[key], `${path}.${key}`, errors);
+            }
+        });
+    }
+
+    switch (type) {
+        case 'number':
+            if (!(typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) || isNaN(Number(value))) fail('a number');
+            break;
+        case 'boolean':
+            if (![true, false, 'true', 'false'].includes(value)) fail('a boolean');
+            break;
+        case 'string':
+            if (typeof value !== 'string') fail('a string');
+            break;
+    }
+}
+
+/**
+ * Checks a node and its descendants, adding an error for each problem found.
+ *
+ * @param {Object} node - The node.
+ * @param {string} context - The context the node appears in.
+ * @param {string} path - The path of the node.
+ * @param {Object[]} errors - The errors found so far.
+ */
+function validateNode(node, context, path, errors) {
+    if (typeof node !== 'object' || node === null || typeof node.type !== 'string') {
+        errors.push({ path, message: 'Expected a node with a type' });
+        return;
+    }
+
+    const { type, children, rows, ...properties } = node;
+    const schema = nodeSchemas[type];
+
+    if (!schema) {
+        // plain HTML elements (e.g. div, section) are wrappers that contribute their children
+        if (/^[a-z][a-z0-9]*$/.test(type)) {
+            Object.keys(properties).forEach((key) => errors.push({ path: `${path}.${key}`, type, message: `Property "${key}" is ignored on a "${type}" wrapper` }));
+            (children || []).forEach((child, index) => validateNode(child, context, `${path}.children[${index}]`, errors));
+        } else {
+            errors.push({ path, type, message: `Unknown node type "${type}"` });
+        }
+
+        return;
+    }
+
+    if (!contextTypes[context].includes(type)) {
+        errors.push({ path, type, message: `Node "${type}" is not allowed ${contextDescriptions[context]}` });
+    }
+
+    (schema.required || []).forEach((key) => {
+        if (properties[key] === undefined || properties[key] === '') errors.push({ path, type, message: `Missing required property "${key}"` });
+    });
+
+    Object.entries(properties).forEach(([key, value]) => {
+        if (!schema.properties[key]) {
+            errors.push({ path: `${path}.${key}`, type, message: `Unknown property "${key}" on node "${type}"` });
+        } else {
+            validateValue(value, schema.properties[key], `${path}.${key}`, errors);
+        }
+    });
+
+    if (children?.length && !schema.children) {
+        children.forEach((child, index) =>
+            errors.push({ path: `${path}.children[${index}]`, type: child?.type, message: `Node "${child?.type}" is not allowed inside a "${type}" node, which cannot have children` })
+        );
+    } else {
+        (children || []).forEach((child, index) => validateNode(child, schema.children, `${path}.children[${index}]`, errors));
+    }
+
+    if (rows && !schema.rows) {
+        errors.push({ path: `${path}.rows`, type, message: `Node "${type}" cannot have rows` });
+    } else {
+        (rows || []).forEach((row, index) => validateNode(row, schema.rows, `${path}.rows[${index}]`, errors));
+    }
+}
+
+/**
+ * Validates the object tree produced by `htmlToDocx` against the schema of the known node types: where each node may
+ * appear (e.g. an image must be inside a paragraph), which children it takes and the types of its properties.
+ *
+ * @example
+ * const errors = validateDocxTree(htmlToDocx(html));
+ * // [{ path: '[0].children[1]', type: 'image', message: 'Node "image" is not allowed at block level (e.g. in a section or table cell)' }]
+ *
+ * @param {Object[]} tree - The object tree returned by `htmlToDocx`.
+ * @returns {Object[]} - The errors, each with the `path` of the node or property, the node `type` and a `message`. Empty if the tree is valid.
+ */
+export function validateDocxTree(tree) {
+    const errors = [];
+
+    if (!Array.isArray(tree)) {
+        return [{ path: '', message: 'Expected an array of nodes' }];
+    }
+
+    tree.forEach((node, index) => validateNode(node, 'block', `[${index}]`, errors));
+
+    return errors;
+}